@@ -0,0 +1,1141 @@
+// Headless core of Customizable Text History: turns chat messages and a config into
+// formatted history text. Nothing here touches SillyTavern; index.js wires it to the
+// current chat and settings, and other extensions or tests can call it directly.
+//
+// Messages use SillyTavern's chat message shape (mes, is_user, is_system, name, extra,
+// swipes, swipe_id, swipe_info, send_date). A config is a profile as stored in the
+// settings; createConfig() fills in defaults.
+//
+// The optional context passed to the public functions may contain:
+//   macro        - name of the macro being evaluated, for rule groups limited to macros
+//   userName     - user persona name, for user messages without a name
+//   avatar       - current character's avatar file, for messages without one
+//   countTokens  - (text) => number, used when config.tokenCounter is "tokenizer"
+//   cache        - caches from createCaches(), reused while the config doesn't change
+//   trace        - array receiving every rule replacement (used by the preview)
+//   matchCounts  - Map receiving replacement counts by rule id (used by the audit log)
+//   bypassRules  - skip all rules, to measure the unprocessed output
+//   onRuleTime   - (rule, ms) => void, called after each rule run
+//   audit        - object whose counts grow with each evaluation: `dropped` by messages the
+//                  token limit cut, `tokensBefore` / `tokensAfter` by the output's tokens
+//                  before and after rules
+
+// Default settings
+export const defaultSettings = {
+    userName: "Student",
+    assistantName: "Teacher",
+    userHeader: "## Student's Turn",
+    assistantHeader: "## Teacher's Turn",
+    xmlUserTag: "student",
+    xmlAssistantTag: "teacher",
+    skipLastAssistant: true,
+    skipLastUser: false,
+    maxTokens: 0,
+    charsPerToken: 4,
+    tokenCounter: "estimate",
+    useRealNames: false,
+    xmlSpeakerAttribute: false,
+    speakerOverrides: [],
+    excludeHidden: true,
+    excludeSystemMessages: true,
+    excludeNarrator: false,
+    excludePatterns: "",
+    softTokenLimit: false,
+    budgetStrategy: "recent",
+    pinnedMessages: 2,
+    elisionMarker: "",
+    agingMode: "off",
+    agingDepth: 20,
+    agingHeadChars: 200,
+    agingTailChars: 100,
+    summaryTemplate: "[Summary of earlier events]\n{summary}",
+    reasoningMode: "strip",
+    reasoningTemplate: "<thinking>\n{reasoning}\n</thinking>\n",
+    swipeMode: "selected",
+    contentEscaping: "none",
+    ruleTimeBudgetMs: 250,
+    recordAudit: true,
+    regexRules: [],
+    ruleGroups: []
+};
+
+// Default fields for a regex rule (also used to fill in rules saved by older versions)
+export const defaultRule = {
+    name: '',
+    enabled: true,
+    findRegex: '',
+    replaceWith: '',
+    trimOut: '',
+    flags: 'g',
+    mode: 'replace',
+    keepCount: 1,
+    disabledReason: '',
+    groupId: '',
+    target: 'output',
+    roles: ['user', 'assistant', 'system'],
+    minDepth: null,
+    maxDepth: null
+};
+
+// Default fields for a user-defined template macro
+export const defaultCustomMacro = {
+    name: '',
+    userTemplate: '{name}: {message}',
+    assistantTemplate: '{name}: {message}',
+    separator: '\n\n',
+    prefix: '',
+    suffix: ''
+};
+
+// Fill in missing keys from a defaults object (copying arrays/objects)
+export function fillDefaults(target, defaults) {
+    for (const [key, value] of Object.entries(defaults)) {
+        if (target[key] === undefined) {
+            target[key] = structuredClone(value);
+        }
+    }
+    return target;
+}
+
+export function normalizeRule(rule) {
+    return fillDefaults(rule, defaultRule);
+}
+
+// A complete config from partial settings, e.g. createConfig({ maxTokens: 500, regexRules: [...] })
+export function createConfig(settings = {}) {
+    const config = fillDefaults(structuredClone(settings), defaultSettings);
+    config.regexRules.forEach(normalizeRule);
+    return config;
+}
+
+// Caches for repeated evaluations over a growing chat. They are only valid for one config:
+// create a new set whenever rules or options change.
+export function createCaches() {
+    return {
+        messageRules: new WeakMap(),    // chat message -> Map(rule ids -> { text, result, counts }) of per-message rules
+        blockTokens: new Map(),         // output rule ids + formatted message -> tokens after output rules
+        contentRules: new Map()         // output rule ids + message text -> text after output rules (see runsRulesOnContent)
+    };
+}
+
+const processingCacheLimit = 20000;
+const regexCache = new Map();           // flags + pattern -> RegExp (or the compile error)
+
+// Internal context: the caller's context plus the messages and the config merged with options
+function createContext(messages, config, options = {}, context = {}) {
+    return { ...context, messages, config: { ...config, ...options } };
+}
+
+// Estimate token count (synchronous). Falls back to chars-per-token if the tokenizer fails.
+export function estimateTokens(text, config, countTokens = null) {
+    if (config.tokenCounter === 'tokenizer' && countTokens) {
+        try {
+            return countTokens(text);
+        } catch (e) {
+            console.warn('[CTH-R] Tokenizer failed, falling back to chars-per-token estimate:', e);
+        }
+    }
+
+    return Math.ceil(text.length / config.charsPerToken);
+}
+
+function countTokens(text, ctx) {
+    return estimateTokens(text, ctx.config, ctx.countTokens);
+}
+
+// Replace {placeholder} tokens in a template, leaving unknown ones untouched
+export function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (token, key) => (key in values ? String(values[key]) : token));
+}
+
+// Name, header and XML tag for a message's speaker.
+// With real names enabled the message's own name (persona or character) replaces the
+// configured user/assistant name; per-speaker overrides win over both.
+function getSpeaker(msg, ctx) {
+    const c = ctx.config;
+    const speaker = msg.is_user
+        ? { name: c.userName, header: c.userHeader, xmlTag: c.xmlUserTag }
+        : { name: c.assistantName, header: c.assistantHeader, xmlTag: c.xmlAssistantTag };
+
+    const realName = msg.name || (msg.is_user ? ctx.userName ?? '' : '');
+    if (c.useRealNames && realName) {
+        speaker.name = realName;
+    }
+
+    const override = c.speakerOverrides.find(o => o.speaker && o.speaker === realName);
+    if (override) {
+        speaker.name = override.name || speaker.name;
+        speaker.header = override.header || speaker.header;
+        speaker.xmlTag = override.xmlTag || speaker.xmlTag;
+    }
+
+    // Headers may contain {name} and metadata placeholders, e.g. "## {name}'s Turn ({timestamp})"
+    speaker.header = fillTemplate(speaker.header, { name: speaker.name, ...getMessageMetadata(msg, ctx) });
+    return speaker;
+}
+
+// Metadata placeholders for headers and custom macro templates, from a processed message copy
+function getMessageMetadata(msg, ctx) {
+    const avatar = msg.is_user
+        ? String(msg.force_avatar ?? '').split('/').pop()
+        : msg.original_avatar || ctx.avatar || '';
+
+    return {
+        timestamp: msg.send_date ?? '',
+        chatIndex: msg.depth !== undefined ? ctx.messages.length - 1 - msg.depth : '',
+        avatar,
+        swipe: (msg.swipe ?? msg.swipe_id ?? 0) + 1,
+        swipes: Array.isArray(msg.swipes) && msg.swipes.length > 0 ? msg.swipes.length : 1,
+        reasoning: msg.reasoning ?? ''
+    };
+}
+
+// Escape message text inside xml/bracket formats, or wrap it in a CDATA section
+function escapeContent(text, c, style) {
+    if (c.contentEscaping === 'cdata') {
+        return `<![CDATA[${text.replaceAll(']]>', ']]]]><![CDATA[>')}]]>`;
+    }
+    if (c.contentEscaping === 'escape') {
+        return style === 'xml'
+            ? text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            : text.replace(/[[\]\\]/g, '\\$&');
+    }
+    return text;
+}
+
+// One YAML list item; content is a literal block scalar so it needs no escaping
+function yamlEntry(role, name, content) {
+    const lines = [`- role: ${role}`];
+    if (name !== null) {
+        lines.push(`  name: ${JSON.stringify(name)}`);
+    }
+
+    if (!content) {
+        lines.push('  content: ""');
+    } else {
+        // Explicit indentation indicator when the text itself starts with whitespace
+        const header = /^\s/.test(content) ? '|2' : '|';
+        const chomping = content.endsWith('\n') ? '+' : '-';
+        lines.push(`  content: ${header}${chomping}`);
+        lines.push(...content.replace(/\n$/, '').split('\n').map(line => (line ? `    ${line}` : '')));
+    }
+
+    return lines.join('\n');
+}
+
+// Opening XML tag, optionally carrying the speaker name as an attribute
+function xmlOpenTag(speaker, c) {
+    if (!c.xmlSpeakerAttribute) return `<${speaker.xmlTag}>`;
+    const name = speaker.name.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    return `<${speaker.xmlTag} name="${name}">`;
+}
+
+// Compiled exclude patterns; invalid lines are skipped (and shown in the settings UI)
+function getExcludePatterns(config) {
+    const patterns = [];
+    for (const line of (config.excludePatterns || '').split('\n').filter(p => p.trim())) {
+        try {
+            patterns.push(compileRegex(line, 'i'));
+        } catch (e) {
+            console.warn(`[CTH-R] Invalid exclude pattern: ${line}`, e);
+        }
+    }
+    return patterns;
+}
+
+// Whether a chat message is filtered out of all history macros
+function isMessageExcluded(msg, config, excludePatterns) {
+    const type = msg.extra?.type;
+
+    if (type === 'narrator') {
+        if (config.excludeNarrator) return true;
+    } else if (type) {
+        // SillyTavern's own system messages (help, welcome, comments, ...)
+        if (config.excludeSystemMessages) return true;
+    } else if (msg.is_system) {
+        // Chat messages hidden from the prompt
+        if (config.excludeHidden) return true;
+    }
+
+    return excludePatterns.some(regex => (msg.mes || '').search(regex) !== -1);
+}
+
+// The last user message of the chat that isn't filtered out, with per-message rules applied
+function selectLastUserMessage(ctx) {
+    const { messages, config } = ctx;
+    const excludePatterns = getExcludePatterns(config);
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i].is_user && !isMessageExcluded(messages[i], config, excludePatterns)) {
+            const msg = applyMessageRules(messages[i], messages.length - 1 - i, getMessageSource(messages[i], config, false), ctx);
+            addMessageMatches(ctx, msg);
+            return msg;
+        }
+    }
+    return null;
+}
+
+// Chat history with filters, skip logic and range/role selection applied.
+// The token limit is applied later by formatSelection, on the formatted text.
+function selectMessages(ctx) {
+    const { messages: chat, config } = ctx;
+    const excludePatterns = getExcludePatterns(config);
+    let messages = [];
+
+    // Drop filtered messages before anything else, so skip logic and the budget never see them
+    const latestAssistant = chat.findLastIndex(msg => getMessageRole(msg) === 'assistant');
+    for (let i = 0; i < chat.length; i++) {
+        if (!isMessageExcluded(chat[i], config, excludePatterns)) {
+            const source = getMessageSource(chat[i], config, i === latestAssistant);
+            messages.push(applyMessageRules(chat[i], chat.length - 1 - i, source, ctx));
+        }
+    }
+
+    // Skip last assistant message if enabled
+    if (config.skipLastAssistant && messages.length > 0) {
+        const lastMsg = messages[messages.length - 1];
+        if (!lastMsg.is_user) {
+            messages = messages.slice(0, -1);
+        }
+    }
+
+    // Skip last user message if enabled (find and remove the last one)
+    if (config.skipLastUser && messages.length > 0) {
+        for (let i = messages.length - 1; i >= 0; i--) {
+            if (messages[i].is_user) {
+                messages.splice(i, 1);
+                break;
+            }
+        }
+    }
+
+    // Counted over the whole history, so slicing below doesn't change which occurrences survive
+    messages = applyKeepLastRules(messages, ctx);
+
+    // Restrict to a chat index range (negative indexes count from the end, both ends inclusive)
+    if (config.from !== undefined || config.to !== undefined) {
+        const resolveIndex = index => (index < 0 ? chat.length + index : index);
+        const from = config.from !== undefined ? resolveIndex(config.from) : 0;
+        const to = config.to !== undefined ? resolveIndex(config.to) : chat.length - 1;
+        messages = messages.filter(msg => {
+            const index = chat.length - 1 - msg.depth;
+            return index >= from && index <= to;
+        });
+    }
+
+    if (config.role) {
+        messages = messages.filter(msg => getMessageRole(msg) === config.role);
+    }
+
+    if (config.last !== undefined) {
+        messages = config.last > 0 ? messages.slice(-config.last) : [];
+    }
+
+    return messages;
+}
+
+// Order in which messages are offered to the budget for each strategy:
+// recent    - newest first (keeps a suffix of the history)
+// pinFirst  - the first `pinned` messages, then newest first
+// firstLast - alternately newest and oldest, dropping the middle
+function getBudgetOrder(count, strategy, pinned) {
+    const order = [];
+
+    if (strategy === 'firstLast') {
+        for (let lo = 0, hi = count - 1; lo <= hi; hi--, lo++) {
+            order.push(hi);
+            if (lo < hi) order.push(lo);
+        }
+        return order;
+    }
+
+    const pinnedCount = strategy === 'pinFirst' ? Math.min(pinned, count) : 0;
+    for (let i = 0; i < pinnedCount; i++) order.push(i);
+    for (let i = count - 1; i >= pinnedCount; i--) order.push(i);
+    return order;
+}
+
+// Apply the token limit (0 = unlimited) to already selected messages.
+// measure(msg, i) returns the token count of a message as it will be emitted; the
+// separator between messages and the wrapper overhead are counted as well.
+// Returns the kept messages in chat order, with { elided: n } entries where n
+// messages were cut.
+function applyTokenBudget(messages, config, measure, separatorTokens, overheadTokens) {
+    if (!(config.maxTokens > 0)) return messages;
+
+    const kept = new Set();
+    let totalTokens = overheadTokens;
+    const pinnedCount = config.budgetStrategy === 'pinFirst' ? Math.min(config.pinnedMessages, messages.length) : 0;
+
+    for (const i of getBudgetOrder(messages.length, config.budgetStrategy, config.pinnedMessages)) {
+        const msgTokens = measure(messages[i], i) + (kept.size > 0 ? separatorTokens : 0);
+
+        if (config.softTokenLimit) {
+            // Soft limit: include message that crosses threshold, then stop
+            kept.add(i);
+            totalTokens += msgTokens;
+
+            if (totalTokens >= config.maxTokens) {
+                break;
+            }
+        } else {
+            // Hard limit: stop before exceeding threshold. A pinned message that doesn't fit
+            // is skipped instead, so a long opening message doesn't cost the recent ones.
+            if (totalTokens + msgTokens > config.maxTokens) {
+                if (i < pinnedCount) continue;
+                break;
+            }
+
+            kept.add(i);
+            totalTokens += msgTokens;
+        }
+    }
+
+    const result = [];
+    let elided = 0;
+    messages.forEach((msg, i) => {
+        if (!kept.has(i)) {
+            elided++;
+            return;
+        }
+        if (elided > 0) {
+            result.push({ elided });
+            elided = 0;
+        }
+        result.push(msg);
+    });
+    if (elided > 0) {
+        result.push({ elided });
+    }
+
+    return result;
+}
+
+// The context with rule tracing and match counting paused, so measuring text doesn't show
+// up in the preview or the audit log
+function withoutTrace(ctx) {
+    return { ...ctx, trace: null, matchCounts: null };
+}
+
+// Formats that serialize message text (JSON, YAML, ChatML, escaped XML and brackets) run
+// output rules on each message's content before serializing it, so a replacement can't break
+// the structure. The others run them once over the joined text, so rules can span messages.
+function runsRulesOnContent(format, config) {
+    const { rulesOnContent } = format;
+    return typeof rulesOnContent === 'function' ? rulesOnContent(config) : Boolean(rulesOnContent);
+}
+
+// A format's message and note renderers; with rules on content they apply the output rules first
+function getRenderers(format, config) {
+    const formatNote = format.formatNote ?? (text => text);
+    if (!runsRulesOnContent(format, config)) {
+        return { rulesOnContent: false, formatMessage: format.formatMessage, formatNote };
+    }
+    return {
+        rulesOnContent: true,
+        formatMessage: (msg, ctx, i) => format.formatMessage({ ...msg, mes: applyContentRules(msg.mes, ctx) }, ctx, i),
+        formatNote: (text, ctx) => formatNote(applyContentRules(text, ctx))
+    };
+}
+
+// Format selected history with format.formatMessage(msg, ctx, index) and join it.
+// formatNote wraps elision markers and the aging summary for structured formats.
+// The token budget is enforced on each message's formatted, rule-processed text.
+// Output rules run once over the joined text, so rules spanning message boundaries behave
+// as before (the budget measures each message on its own), except for formats that run
+// them on each message's content (see runsRulesOnContent).
+function formatSelection(ctx, format) {
+    const { config } = ctx;
+    const { separator = '\n\n', prefix = '', suffix = '', empty = '' } = format;
+    const { rulesOnContent, formatMessage, formatNote } = getRenderers(format, config);
+    const { messages, summary } = applyAging(selectMessages(ctx), ctx);
+
+    const measuring = withoutTrace(ctx);
+    const summaryTokens = summary ? countTokens(formatNote(summary, measuring), ctx) + countTokens(separator, ctx) : 0;
+    const separatorTokens = countTokens(separator, ctx);
+    const overheadTokens = (prefix || suffix ? countTokens(prefix + suffix, ctx) : 0) + summaryTokens;
+    const measure = (msg, i) => measureFormattedMessage(formatMessage(msg, measuring, i), ctx, rulesOnContent);
+
+    let items = applyTokenBudget(messages, config, measure, separatorTokens, overheadTokens);
+
+    // Elision markers only need room when something was cut: pack again with the markers
+    // that pass produced reserved, so a history that fits exactly keeps every message.
+    // Cutting more can lengthen a marker ("[9 cut]" -> "[10 cut]"), so repeat until the
+    // markers fit in the room reserved for them.
+    if (config.elisionMarker) {
+        const markerTokens = result => result.filter(item => item.elided).reduce((total, { elided }) =>
+            total + countTokens(formatNote(fillTemplate(config.elisionMarker, { count: elided }), measuring), ctx) + separatorTokens, 0);
+        let reserved = 0;
+        for (let needed = markerTokens(items); needed > reserved; needed = markerTokens(items)) {
+            reserved = needed;
+            items = applyTokenBudget(messages, config, measure, separatorTokens, overheadTokens + reserved);
+        }
+    }
+
+    if (ctx.audit) {
+        ctx.audit.dropped += items.reduce((total, item) => total + (item.elided || 0), 0);
+    }
+
+    if (!summary && !items.some(item => !item.elided)) return empty;
+
+    let index = 0;
+    const parts = summary ? [formatNote(summary, ctx)] : [];
+    const notes = [...parts];
+    const emitted = [];
+    for (const item of items) {
+        if (item.elided) {
+            if (config.elisionMarker) {
+                const note = formatNote(fillTemplate(config.elisionMarker, { count: item.elided }), ctx);
+                parts.push(note);
+                notes.push(note);
+            }
+        } else {
+            const text = formatMessage(item, ctx, index);
+            parts.push(text);
+            emitted.push({ item, text, index: index++ });
+            addMessageMatches(ctx, item);
+        }
+    }
+
+    if (ctx.audit) {
+        const fixedTokens = (prefix || suffix ? countTokens(prefix + suffix, ctx) : 0)
+            + separatorTokens * (parts.length - 1)
+            + notes.reduce((total, note) => total + countTokens(note, ctx), 0);
+        auditTokens(ctx, emitted, format.formatMessage, fixedTokens, rulesOnContent);
+    }
+
+    const raw = prefix + parts.join(separator) + suffix;
+    return rulesOnContent ? raw : applyRules(raw, ctx);
+}
+
+// Add an evaluation's tokens before and after rules to ctx.audit. Summed from per-message
+// counts, which are cached across evaluations, instead of counting the whole output again
+// with rules bypassed. Output rules spanning messages make this an estimate.
+// formatMessage is the format's own renderer; rulesApplied tells whether text has been
+// through the output rules already (see runsRulesOnContent).
+function auditTokens(ctx, emitted, formatMessage, fixedTokens, rulesApplied) {
+    let before = fixedTokens;
+    let after = fixedTokens;
+    for (const { item, text, index } of emitted) {
+        before += countTokens(formatMessage({ ...item, mes: item.unprocessed ?? item.mes }, ctx, index), ctx);
+        after += measureFormattedMessage(text, ctx, rulesApplied);
+    }
+    ctx.audit.tokensBefore += before;
+    ctx.audit.tokensAfter += after;
+}
+
+// Latest chat summary written by SillyTavern's Summarize extension, if any
+function getLatestSummary(messages) {
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const memory = messages[i].extra?.memory;
+        if (memory) return memory;
+    }
+    return '';
+}
+
+// Keep the first head and last tail characters of text
+function truncateText(text, head, tail) {
+    if (text.length <= head + tail) return text;
+    return `${text.slice(0, head)} … ${tail > 0 ? text.slice(-tail) : ''}`.trim();
+}
+
+// Aging: compress messages at or beyond agingDepth instead of letting them vanish.
+//   truncate - keep the first/last characters of each aged message
+//   extract  - keep only what "aged message" rules extract (aged messages with nothing extracted are dropped)
+//   summary  - replace all aged messages with the Summarize extension's summary, when there is one
+function applyAging(messages, ctx) {
+    const { config } = ctx;
+    if (config.agingMode === 'off' || ctx.bypassRules) {
+        return { messages, summary: '' };
+    }
+
+    const isAged = msg => msg.depth >= config.agingDepth;
+
+    if (config.agingMode === 'summary') {
+        const summary = getLatestSummary(ctx.messages);
+        if (!summary || !messages.some(isAged)) {
+            return { messages, summary: '' };
+        }
+        return {
+            messages: messages.filter(msg => !isAged(msg)),
+            summary: fillTemplate(config.summaryTemplate, { summary })
+        };
+    }
+
+    const aged = messages.map(msg => {
+        if (!isAged(msg)) return msg;
+        const mes = config.agingMode === 'extract'
+            ? extractAgedMessage(msg, ctx)
+            : truncateText(msg.mes, config.agingHeadChars, config.agingTailChars);
+        return { ...msg, mes };
+    });
+
+    return { messages: aged.filter(msg => msg.mes), summary: '' };
+}
+
+// Run the extraction rules that apply to an aged message and join what they matched
+function extractAgedMessage(msg, ctx) {
+    const role = getMessageRole(msg);
+    const extracted = [];
+
+    for (const rule of getActiveRules(ctx, 'aging')) {
+        if (!ruleMatchesScope(rule, role, msg.depth)) continue;
+
+        const start = performance.now();
+        try {
+            const regex = compileRegex(rule.findRegex, rule.flags);
+            const matches = regex.global ? [...msg.mes.matchAll(regex)] : [regex.exec(msg.mes)].filter(Boolean);
+
+            // Replace With acts as a per-match template, e.g. "$1"; empty keeps the whole match
+            countRuleMatches(ctx, rule, matches.length);
+            for (const match of matches) {
+                extracted.push(rule.replaceWith
+                    ? expandReplacement(rule.replaceWith, match[0], match.slice(1), match.index, msg.mes, match.groups)
+                    : match[0]);
+            }
+        } catch (e) {
+            console.warn(`[CTH-R] Invalid regex in rule "${rule.name}":`, e);
+        }
+        ctx.onRuleTime?.(rule, performance.now() - start);
+    }
+
+    return extracted.join('\n').trim();
+}
+
+function parseIndexArg(value) {
+    return /^-?\d+$/.test(value) ? parseInt(value) : undefined;
+}
+
+function parseCountArg(value) {
+    return /^\d+$/.test(value) ? parseInt(value) : undefined;
+}
+
+function parseBoolArg(value) {
+    const values = { true: true, yes: true, on: true, 1: true, false: false, no: false, off: false, 0: false };
+    return values[value.toLowerCase()];
+}
+
+// Arguments accepted by every history macro, e.g. {{xmlHistoryR::last=8::role=assistant::maxTokens=1500}}
+const historyArgParsers = {
+    from: parseIndexArg,
+    to: parseIndexArg,
+    last: parseCountArg,
+    role: value => (['user', 'assistant', 'system'].includes(value) ? value : undefined),
+    maxTokens: parseCountArg,
+    softTokenLimit: parseBoolArg,
+    budgetStrategy: value => (['recent', 'pinFirst', 'firstLast'].includes(value) ? value : undefined),
+    pinnedMessages: parseCountArg,
+    agingMode: value => (['off', 'truncate', 'extract', 'summary'].includes(value) ? value : undefined),
+    agingDepth: parseCountArg,
+    skipLastUser: parseBoolArg,
+    skipLastAssistant: parseBoolArg,
+    reasoningMode: value => (['strip', 'include'].includes(value) ? value : undefined),
+    swipeMode: value => (['selected', 'original'].includes(value) ? value : undefined)
+};
+
+// Parse "key=value::key=value" macro arguments into history options.
+// A bare number is shorthand for last=N. Anything else without "=" is ignored.
+export function parseHistoryArgs(args) {
+    const options = {};
+    const parts = Array.isArray(args) ? args : String(args ?? '').split('::');
+
+    for (const part of parts.map(p => String(p).trim()).filter(Boolean)) {
+        if (/^\d+$/.test(part)) {
+            options.last = parseInt(part);
+            continue;
+        }
+
+        const separator = part.indexOf('=');
+        if (separator === -1) continue;
+
+        const name = part.slice(0, separator).trim().toLowerCase();
+        const key = Object.keys(historyArgParsers).find(k => k.toLowerCase() === name);
+        const value = key ? historyArgParsers[key](part.slice(separator + 1).trim()) : undefined;
+
+        if (value === undefined) {
+            console.warn(`[CTH-R] Ignoring invalid macro argument: ${part}`);
+            continue;
+        }
+        options[key] = value;
+    }
+
+    return options;
+}
+
+// Role used for rule scoping: user, assistant or system (hidden/narrator messages)
+export function getMessageRole(msg) {
+    if (msg.is_user) return 'user';
+    if (msg.is_system || msg.extra?.type === 'narrator') return 'system';
+    return 'assistant';
+}
+
+// Check whether a per-message rule applies to a message with the given role and depth
+function ruleMatchesScope(rule, role, depth) {
+    if (!rule.roles.includes(role)) return false;
+    if (rule.minDepth !== null && depth < rule.minDepth) return false;
+    if (rule.maxDepth !== null && depth > rule.maxDepth) return false;
+    return true;
+}
+
+// Parse a pattern that may be written as a /pattern/flags literal.
+// Flags from a literal override the fallback flags.
+export function parseRegexInput(input, fallbackFlags) {
+    const literal = /^\/([\s\S]+)\/([a-z]*)$/.exec(input);
+    if (literal) {
+        return { source: literal[1], flags: literal[2] };
+    }
+    return { source: input, flags: fallbackFlags };
+}
+
+// Compile a pattern (plain or /literal/) into a RegExp, throws on invalid syntax.
+// Compiled patterns are cached by pattern and flags.
+export function compileRegex(input, fallbackFlags) {
+    const key = `${fallbackFlags}\u0000${input}`;
+    let regex = regexCache.get(key);
+
+    if (regex === undefined) {
+        try {
+            const { source, flags } = parseRegexInput(input, fallbackFlags);
+            regex = new RegExp(source, flags);
+        } catch (e) {
+            regex = e;
+        }
+        if (regexCache.size >= processingCacheLimit) regexCache.clear();
+        regexCache.set(key, regex);
+    }
+
+    if (regex instanceof Error) throw regex;
+    regex.lastIndex = 0;
+    return regex;
+}
+
+export function getTrimPatterns(rule) {
+    return (rule.trimOut || '').split('\n').filter(p => p.trim());
+}
+
+// Collect compile errors for a rule's find regex and trim patterns
+export function validateRule(rule) {
+    const errors = [];
+
+    if (rule.findRegex) {
+        try {
+            compileRegex(rule.findRegex, rule.flags);
+        } catch (e) {
+            errors.push(`Find: ${e.message}`);
+        }
+    }
+
+    for (const pattern of getTrimPatterns(rule)) {
+        try {
+            compileRegex(pattern, rule.flags);
+        } catch (e) {
+            errors.push(`Trim "${pattern}": ${e.message}`);
+        }
+    }
+
+    return errors;
+}
+
+// Nested quantifiers such as (a+)+, (\w*)*, (x+){2,} or ((ab)*)+ can backtrack exponentially.
+// The quantifier inside may sit one group deeper than the repeated group.
+const quantifier = String.raw`(?:[+*]|\{\d+,\d*\})`;
+const groupChar = String.raw`(?:[^()\\]|\\.)`;
+const groupAtom = String.raw`(?:${groupChar}|\(${groupChar}*\))`;
+const nestedQuantifierRegex = new RegExp(
+    String.raw`\(${groupAtom}*(?:${quantifier}|\(${groupChar}*${quantifier}${groupChar}*\))${groupAtom}*\)${quantifier}`);
+
+export function hasNestedQuantifier(source) {
+    return nestedQuantifierRegex.test(source);
+}
+
+// Expand $1, $<name>, $& etc. the same way String.prototype.replace does
+function expandReplacement(replacement, match, captures, offset, input, groups) {
+    return replacement.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, symbol, name) => {
+        if (symbol === '$') return '$';
+        if (symbol === '&') return match;
+        if (symbol === '`') return input.slice(0, offset);
+        if (symbol === "'") return input.slice(offset + match.length);
+        if (name !== undefined) return groups ? (groups[name] ?? '') : token;
+
+        const index = parseInt(symbol);
+        if (index >= 1 && index <= captures.length) return captures[index - 1] ?? '';
+
+        // $12 with fewer than 12 groups means $1 followed by "2"
+        const single = parseInt(symbol[0]);
+        if (symbol.length === 2 && single >= 1 && single <= captures.length) {
+            return (captures[single - 1] ?? '') + symbol[1];
+        }
+        return token;
+    });
+}
+
+function countRuleMatches(ctx, rule, count) {
+    if (ctx.matchCounts && count > 0) {
+        ctx.matchCounts.set(rule.id, (ctx.matchCounts.get(rule.id) || 0) + count);
+    }
+}
+
+// Count and trace the rule matches a processed message carries, once it is emitted
+function addMessageMatches(ctx, msg) {
+    for (const [id, count] of msg.ruleMatches ?? []) {
+        countRuleMatches(ctx, { id }, count);
+    }
+    ctx.trace?.push(...(msg.ruleTrace ?? []));
+}
+
+// Replace text, recording each match into ctx.trace and counting replacements into
+// ctx.matchCounts when they are set.
+// shouldReplace(n), if given, decides per match (0-based occurrence) whether it is replaced.
+function replaceTraced(text, regex, replacement, rule, ctx, shouldReplace = null) {
+    if (!ctx.trace && !ctx.matchCounts && !shouldReplace) {
+        return text.replace(regex, replacement);
+    }
+
+    let occurrence = 0;
+    return text.replace(regex, (...args) => {
+        // Named groups object is only passed when the regex has named groups
+        const hasGroups = typeof args[args.length - 1] === 'object';
+        const groups = hasGroups ? args.pop() : undefined;
+        const input = args.pop();
+        const offset = args.pop();
+        const [match, ...captures] = args;
+
+        if (shouldReplace && !shouldReplace(occurrence++)) {
+            return match;
+        }
+
+        const inserted = expandReplacement(replacement, match, captures, offset, input, groups);
+        countRuleMatches(ctx, rule, 1);
+
+        if (ctx.trace) {
+            ctx.trace.push({
+                ruleId: rule.id,
+                removed: match,
+                inserted,
+                before: input.slice(Math.max(0, offset - 40), offset),
+                after: input.slice(offset + match.length, offset + match.length + 40)
+            });
+        }
+        return inserted;
+    });
+}
+
+// Run a single rule's find/replace and trim patterns over text
+function runRule(rule, text, ctx) {
+    if (ctx.bypassRules || !rule.enabled) return text;
+
+    const start = performance.now();
+    let result = text;
+
+    try {
+        const regex = compileRegex(rule.findRegex, rule.flags);
+        result = replaceTraced(result, regex, rule.replaceWith || '', rule, ctx);
+
+        for (const pattern of getTrimPatterns(rule)) {
+            try {
+                const trimRegex = compileRegex(pattern, rule.flags);
+                result = replaceTraced(result, trimRegex, '', rule, ctx);
+            } catch (e) {
+                console.warn(`[CTH-R] Invalid trim pattern: ${pattern}`, e);
+            }
+        }
+    } catch (e) {
+        console.warn(`[CTH-R] Invalid regex in rule "${rule.name}":`, e);
+    }
+
+    ctx.onRuleTime?.(rule, performance.now() - start);
+    return result;
+}
+
+// Text a history macro sees for a chat message:
+//   swipeMode      - "selected" uses the current swipe, "original" the first swipe of past
+//                    assistant turns (the latest assistant message always uses its current swipe)
+//   reasoningMode  - "include" prepends the swipe's stored reasoning through reasoningTemplate
+// Returns { text, reasoning, swipe } where swipe is the 0-based swipe used.
+function getMessageSource(msg, config, isLatestAssistant) {
+    let swipe = msg.swipe_id ?? 0;
+    let text = msg.mes;
+    let reasoning = msg.extra?.reasoning || '';
+
+    if (config.swipeMode === 'original' && !msg.is_user && !isLatestAssistant && swipe !== 0 && Array.isArray(msg.swipes) && msg.swipes.length > 0) {
+        swipe = 0;
+        text = msg.swipes[0];
+        reasoning = msg.swipe_info?.[0]?.extra?.reasoning || '';
+    }
+
+    if (config.reasoningMode === 'include' && reasoning) {
+        text = fillTemplate(config.reasoningTemplate, { reasoning }) + text;
+    }
+
+    return { text, reasoning, swipe };
+}
+
+// Apply per-message rules to a copy of a chat message (depth 0 = last message in chat).
+// source is the text to use (see getMessageSource); the copy also records its depth,
+// swipe and reasoning for templates.
+function applyMessageRules(msg, depth, source, ctx) {
+    const role = getMessageRole(msg);
+    const rules = getActiveRules(ctx, 'message').filter(rule => ruleMatchesScope(rule, role, depth));
+
+    // Memoized per chat message by its text and the rules that apply, so only new or edited
+    // messages are reprocessed. The preview bypasses the cache because it needs every match traced.
+    const cache = !ctx.trace && !ctx.bypassRules ? ctx.cache : null;
+    const rulesKey = rules.map(rule => rule.id).join(',');
+
+    // Replacement counts and traced matches travel with the message so the audit log and the
+    // preview only see messages that are emitted. Counts are cached with the result so cached
+    // messages still count. Entries are kept per rule set, as macros can have different rule groups.
+    let entries = cache?.messageRules.get(msg);
+    let entry = entries?.get(rulesKey);
+    if (!entry || entry.text !== source.text) {
+        const counting = { ...ctx, matchCounts: new Map(), trace: ctx.trace ? [] : null };
+        const result = rules.reduce((mes, rule) => runRule(rule, mes, counting), source.text);
+        entry = { text: source.text, result, counts: counting.matchCounts, trace: counting.trace };
+        if (cache) {
+            if (!entries) cache.messageRules.set(msg, entries = new Map());
+            entries.set(rulesKey, entry);
+        }
+    }
+    return { ...msg, mes: entry.result, unprocessed: source.text, depth, swipe: source.swipe, reasoning: source.reasoning, ruleMatches: entry.counts, ruleTrace: entry.trace };
+}
+
+// Tokens of one formatted message after output rules, used by the token budget.
+// rulesApplied: the text has been through the output rules already (see runsRulesOnContent)
+function measureFormattedMessage(text, ctx, rulesApplied = false) {
+    const measure = () => countTokens(rulesApplied ? text : applyRules(text, withoutTrace(ctx)), ctx);
+    if (ctx.trace || ctx.bypassRules || !ctx.cache) {
+        return measure();
+    }
+
+    const cache = ctx.cache.blockTokens;
+    if (cache.size >= processingCacheLimit) cache.clear();
+
+    const key = rulesApplied ? `\u0001${text}` : `${getActiveRules(ctx, 'output').map(rule => rule.id).join(',')}\u0000${text}`;
+    let tokens = cache.get(key);
+    if (tokens === undefined) {
+        tokens = measure();
+        cache.set(key, tokens);
+    }
+    return tokens;
+}
+
+// Keep-last rules work across the whole history, newest message first:
+//   keepLast            - keep the newest keepCount matches, replace older ones
+//   keepLatestAssistant - keep only matches in the latest assistant message
+// Older matches are replaced with Replace With (empty removes them, or use a placeholder).
+function applyKeepLastRules(messages, ctx) {
+    const rules = ctx.config.regexRules.filter(rule => rule.mode !== 'replace' && isRuleActive(rule, ctx.config, ctx.macro));
+    if (rules.length === 0 || ctx.bypassRules) return messages;
+
+    const result = [...messages];
+    const latestAssistant = result.findLastIndex(msg => getMessageRole(msg) === 'assistant');
+
+    for (const rule of rules) {
+        let regex;
+        try {
+            regex = compileRegex(rule.findRegex, rule.flags);
+            if (!regex.global) regex = new RegExp(regex.source, regex.flags + 'g');
+        } catch (e) {
+            console.warn(`[CTH-R] Invalid regex in rule "${rule.name}":`, e);
+            continue;
+        }
+
+        let remaining = rule.keepCount;
+
+        for (let i = result.length - 1; i >= 0 && rule.enabled; i--) {
+            const msg = result[i];
+            if (!ruleMatchesScope(rule, getMessageRole(msg), msg.depth)) continue;
+
+            const start = performance.now();
+            let shouldReplace;
+            if (rule.mode === 'keepLatestAssistant') {
+                if (i === latestAssistant) continue;
+                shouldReplace = () => true;
+            } else {
+                const count = (msg.mes.match(regex) || []).length;
+                if (count === 0) {
+                    ctx.onRuleTime?.(rule, performance.now() - start);
+                    continue;
+                }
+                const keepFrom = Math.max(0, count - remaining);
+                remaining = Math.max(0, remaining - count);
+                shouldReplace = n => n < keepFrom;
+            }
+
+            // Matches travel with the message like per-message rule matches (see applyMessageRules)
+            const counting = { ...ctx, matchCounts: new Map(msg.ruleMatches), trace: ctx.trace ? [...(msg.ruleTrace ?? [])] : null };
+            const mes = replaceTraced(msg.mes, regex, rule.replaceWith || '', rule, counting, shouldReplace);
+            result[i] = { ...msg, mes, ruleMatches: counting.matchCounts, ruleTrace: counting.trace };
+            ctx.onRuleTime?.(rule, performance.now() - start);
+        }
+    }
+
+    return result;
+}
+
+// A rule runs when it is enabled and has a pattern, and its group (if any) is enabled and
+// either assigned to no macro in particular or to the macro being evaluated
+export function isRuleActive(rule, config, macro = null) {
+    if (!rule.enabled || !rule.findRegex) return false;
+
+    const group = rule.groupId && config.ruleGroups.find(g => g.id === rule.groupId);
+    if (!group) return true;
+    return group.enabled && (!group.macros?.length || !macro || group.macros.includes(macro));
+}
+
+// Active find/replace rules for a target, in order
+function getActiveRules(ctx, target) {
+    return ctx.config.regexRules.filter(rule => rule.target === target && rule.mode === 'replace' && isRuleActive(rule, ctx.config, ctx.macro));
+}
+
+// Apply all output rules to formatted text
+function applyRules(text, ctx) {
+    let result = text;
+
+    for (const rule of getActiveRules(ctx, 'output')) {
+        result = runRule(rule, result, ctx);
+    }
+
+    return result;
+}
+
+// Apply output rules to one message's content (see runsRulesOnContent). Memoized while
+// nothing is traced or counted, as the token budget measures every selected message.
+function applyContentRules(text, ctx) {
+    if (ctx.trace || ctx.matchCounts || ctx.bypassRules || !ctx.cache) {
+        return applyRules(text, ctx);
+    }
+
+    const cache = ctx.cache.contentRules;
+    if (cache.size >= processingCacheLimit) cache.clear();
+
+    const key = `${getActiveRules(ctx, 'output').map(rule => rule.id).join(',')}\u0000${text}`;
+    let result = cache.get(key);
+    if (result === undefined) {
+        result = applyRules(text, ctx);
+        cache.set(key, result);
+    }
+    return result;
+}
+
+// Built-in formats. formatMessage(msg, ctx, index) renders one processed message;
+// the other fields default to a blank line between messages, no wrapper and output rules
+// over the joined text (rulesOnContent: true or (config) => boolean runs them per message).
+export const historyFormats = {
+    header: {
+        formatMessage: (msg, ctx) => `${getSpeaker(msg, ctx).header}\n${msg.mes}`
+    },
+    colon: {
+        formatMessage: (msg, ctx) => `${getSpeaker(msg, ctx).name}: ${msg.mes}`
+    },
+    xml: {
+        formatMessage: (msg, ctx) => {
+            const speaker = getSpeaker(msg, ctx);
+            return `${xmlOpenTag(speaker, ctx.config)}\n${escapeContent(msg.mes, ctx.config, 'xml')}\n</${speaker.xmlTag}>`;
+        },
+        rulesOnContent: config => config.contentEscaping !== 'none'
+    },
+    bracket: {
+        formatMessage: (msg, ctx) => {
+            const { name } = getSpeaker(msg, ctx);
+            return `[${name}]\n${escapeContent(msg.mes, ctx.config, 'bracket')}\n[/${name}]`;
+        },
+        rulesOnContent: config => config.contentEscaping !== 'none'
+    },
+    numbered: {
+        formatMessage: (msg, ctx, i) => `${i + 1}. ${getSpeaker(msg, ctx).name}: ${msg.mes}`
+    },
+    quote: {
+        formatMessage: (msg, ctx) => {
+            const quoted = msg.mes.split('\n').map(line => `> ${line}`).join('\n');
+            return `**${getSpeaker(msg, ctx).name}:**\n${quoted}`;
+        }
+    },
+    raw: {
+        formatMessage: msg => msg.mes,
+        separator: '\n\n---\n\n'
+    },
+    json: {
+        formatMessage: (msg, ctx) => {
+            const entry = { role: getMessageRole(msg), name: getSpeaker(msg, ctx).name, content: msg.mes };
+            return `  ${JSON.stringify(entry)}`;
+        },
+        separator: ',\n',
+        prefix: '[\n',
+        suffix: '\n]',
+        formatNote: text => `  ${JSON.stringify({ role: 'system', content: text })}`,
+        empty: '[]',
+        rulesOnContent: true
+    },
+    chatml: {
+        formatMessage: (msg, ctx) => `<|im_start|>${getMessageRole(msg)} name=${getSpeaker(msg, ctx).name}\n${msg.mes}<|im_end|>`,
+        separator: '\n',
+        formatNote: text => `<|im_start|>system\n${text}<|im_end|>`,
+        rulesOnContent: true
+    },
+    yaml: {
+        formatMessage: (msg, ctx) => yamlEntry(getMessageRole(msg), getSpeaker(msg, ctx).name, msg.mes),
+        separator: '\n',
+        formatNote: text => yamlEntry('system', null, text),
+        empty: '[]',
+        rulesOnContent: true
+    }
+};
+
+// Format for a user-defined template macro (see defaultCustomMacro)
+export function customFormat(macro) {
+    return {
+        formatMessage: (msg, ctx, i) => fillTemplate(msg.is_user ? macro.userTemplate : macro.assistantTemplate, {
+            ...getMessageMetadata(msg, ctx),
+            name: getSpeaker(msg, ctx).name,
+            message: msg.mes,
+            role: getMessageRole(msg),
+            index: i + 1,
+            depth: msg.depth
+        }),
+        separator: macro.separator,
+        prefix: macro.prefix,
+        suffix: macro.suffix
+    };
+}
+
+function resolveFormat(format) {
+    if (typeof format !== 'string') return format;
+    if (!historyFormats[format]) {
+        throw new Error(`Unknown history format: ${format}`);
+    }
+    return historyFormats[format];
+}
+
+// Format chat messages as history text.
+// format is a historyFormats name or an object like customFormat() returns; options are
+// history arguments as parseHistoryArgs() returns them (last, role, maxTokens, ...).
+export function formatHistory(messages, config, format, options = {}, context = {}) {
+    return formatSelection(createContext(messages, config, options, context), resolveFormat(format));
+}
+
+// Format only the last user message, e.g. formatLastUserMessage(chat, config, 'xml').
+// Returns an empty string when the chat has no user message.
+export function formatLastUserMessage(messages, config, format = 'raw', context = {}) {
+    const ctx = createContext(messages, config, {}, context);
+    const msg = selectLastUserMessage(ctx);
+    if (!msg) return '';
+
+    const resolved = resolveFormat(format);
+    const { rulesOnContent, formatMessage } = getRenderers(resolved, ctx.config);
+    const text = formatMessage(msg, ctx, 0);
+    if (ctx.audit) {
+        auditTokens(ctx, [{ item: msg, text, index: 0 }], resolved.formatMessage, 0, rulesOnContent);
+    }
+    return rulesOnContent ? text : applyRules(text, ctx);
+}
+
+// The messages a history macro would emit, before formatting and the token limit: copies
+// with per-message and keep-last rules applied and `depth` (0 = last chat message) set
+export function getChatHistory(messages, config, options = {}, context = {}) {
+    return selectMessages(createContext(messages, config, options, context));
+}
+
+// Apply the config's output rules to text
+export function applyRegexRules(text, config, context = {}) {
+    return applyRules(text, createContext([], config, {}, context));
+}
@@ -1,158 +1,478 @@
-import { chat } from "../../../../script.js";
+import { chat, characters, this_chid, getCurrentChatId, eventSource, event_types, main_api, name1 } from "../../../../script.js";
 import { MacrosParser } from "../../../macros.js";
 import { extension_settings } from "../../../extensions.js";
 import { saveSettingsDebounced } from "../../../../script.js";
+import { download, getFileText, getSortableDelay } from "../../../utils.js";
+import { getTokenCount, getFriendlyTokenizerName } from "../../../tokenizers.js";
+import { callGenericPopup, POPUP_TYPE } from "../../../popup.js";
+import { SlashCommandParser } from "../../../slash-commands/SlashCommandParser.js";
+import { SlashCommand } from "../../../slash-commands/SlashCommand.js";
+import { SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } from "../../../slash-commands/SlashCommandArgument.js";
+import { SlashCommandEnumValue } from "../../../slash-commands/SlashCommandEnumValue.js";
+import * as core from "./core.js";
+import {
+    defaultSettings, defaultRule, defaultCustomMacro, fillDefaults, normalizeRule, createCaches, estimateTokens,
+    parseHistoryArgs, parseRegexInput, compileRegex, getTrimPatterns, validateRule, hasNestedQuantifier, isRuleActive,
+    customFormat, formatHistory, formatLastUserMessage
+} from "./core.js";
 
 const extensionName = "customizable-text-history-with-regexes";
 
-// Default settings
-const defaultSettings = {
-    userName: "Student",
-    assistantName: "Teacher",
-    userHeader: "## Student's Turn",
-    assistantHeader: "## Teacher's Turn",
-    xmlUserTag: "student",
-    xmlAssistantTag: "teacher",
-    skipLastAssistant: true,
-    skipLastUser: false,
-    maxTokens: 0,
-    charsPerToken: 4,
-    softTokenLimit: false,
-    regexRules: []
-};
+// Registered macro functions by name, used by the preview pane
+const macroFunctions = {};
+
+// Preview state: when ruleTrace is an array every rule match is recorded into it,
+// when rulesBypassed is set rules are skipped to measure the unprocessed output
+let ruleTrace = null;
+let rulesBypassed = false;
+let previewTimeout = null;
+
+// Settings live in named profiles; everything in defaultSettings is stored per profile
+const defaultProfileName = "Default";
 
 function loadSettings() {
-    extension_settings[extensionName] = extension_settings[extensionName] || {};
+    const settings = extension_settings[extensionName] = extension_settings[extensionName] || {};
+
+    // Move settings saved before profiles existed into the default profile
+    if (!settings.profiles) {
+        const legacy = {};
+        for (const key of Object.keys(defaultSettings)) {
+            if (settings[key] !== undefined) {
+                legacy[key] = settings[key];
+                delete settings[key];
+            }
+        }
+        settings.profiles = { [defaultProfileName]: legacy };
+    }
 
-    for (const [key, value] of Object.entries(defaultSettings)) {
-        if (extension_settings[extensionName][key] === undefined) {
-            extension_settings[extensionName][key] = Array.isArray(value) ? [...value] : value;
+    settings.profiles[defaultProfileName] = settings.profiles[defaultProfileName] || {};
+    settings.activeProfile = settings.activeProfile || defaultProfileName;
+    settings.characterProfiles = settings.characterProfiles || {};
+    settings.chatProfiles = settings.chatProfiles || {};
+    settings.customMacros = settings.customMacros || [];
+
+    for (const macro of settings.customMacros) {
+        fillDefaults(macro, defaultCustomMacro);
+    }
+
+    for (const profile of Object.values(settings.profiles)) {
+        fillDefaults(profile, defaultSettings);
+        for (const rule of profile.regexRules) {
+            normalizeRule(rule);
         }
     }
 }
 
+// Settings of the active profile
 function getConfig() {
-    return extension_settings[extensionName];
+    const settings = extension_settings[extensionName];
+    return settings.profiles[settings.activeProfile] || settings.profiles[defaultProfileName];
+}
+
+// The active profile as macros and the preview evaluate it: edited rules waiting for their
+// sample test are left out (see scheduleRuleRetest)
+function getEvaluationConfig() {
+    const config = getConfig();
+    if (untestedRuleIds.size === 0) return config;
+    return { ...config, regexRules: config.regexRules.filter(rule => !untestedRuleIds.has(rule.id)) };
 }
 
 function saveSetting(key, value) {
-    extension_settings[extensionName][key] = value;
+    getConfig()[key] = value;
+    processingCaches = createCaches();
     saveSettingsDebounced();
 }
 
 function saveAllSettings() {
+    processingCaches = createCaches();
     saveSettingsDebounced();
 }
 
-// Estimate token count (synchronous)
-function estimateTokens(text) {
-    const config = getConfig();
-    return Math.ceil(text.length / config.charsPerToken);
+// Processing caches for long chats (see createCaches in core.js). They are replaced on
+// every settings save, so edited rules or options never reuse stale results, and when
+// the tokenizer changes, as they hold token counts.
+let processingCaches = createCaches();
+let processingCachesTokenizer = null;
+
+// Replace the processing caches when switching API or model changes the tokenizer.
+// Checked before every evaluation because cached counts never reach the tokenizer.
+function syncProcessingCaches() {
+    let tokenizerId = null;
+    if (getConfig().tokenCounter === 'tokenizer') {
+        try {
+            tokenizerId = getFriendlyTokenizerName(main_api).tokenizerId;
+        } catch (e) {
+            console.warn('[CTH-R] Could not determine the current tokenizer:', e);
+        }
+    }
+
+    if (tokenizerId !== processingCachesTokenizer) {
+        processingCaches = createCaches();
+        processingCachesTokenizer = tokenizerId;
+    }
+}
+
+// Token counts from the real tokenizer, keyed by text. Cleared when the tokenizer changes.
+const tokenCountCache = new Map();
+const tokenCountCacheLimit = 10000;
+let tokenCountCacheTokenizer = null;
+
+// Count tokens with the tokenizer SillyTavern uses for the current API/model
+function countTokensWithTokenizer(text) {
+    const tokenizerId = getFriendlyTokenizerName(main_api).tokenizerId;
+    if (tokenizerId !== tokenCountCacheTokenizer || tokenCountCache.size >= tokenCountCacheLimit) {
+        tokenCountCache.clear();
+        tokenCountCacheTokenizer = tokenizerId;
+    }
+
+    let count = tokenCountCache.get(text);
+    if (count === undefined) {
+        count = getTokenCount(text);
+        tokenCountCache.set(text, count);
+    }
+    return count;
+}
+
+// Token count of text with the active profile's token counter
+function countTokens(text) {
+    return estimateTokens(text, getConfig(), countTokensWithTokenizer);
+}
+
+// Context for core.js calls: the current chat's names and tokenizer plus the evaluation
+// state (preview tracing, audit counts, rule time budget)
+function getCoreContext() {
+    syncProcessingCaches();
+    return {
+        macro: currentMacro,
+        userName: name1,
+        avatar: characters[this_chid]?.avatar,
+        countTokens: countTokensWithTokenizer,
+        cache: processingCaches,
+        trace: ruleTrace,
+        matchCounts: ruleMatchCounts,
+        bypassRules: rulesBypassed,
+        onRuleTime: recordRuleTime,
+        audit: currentAudit
+    };
+}
+
+// Format the current chat with a history format (see historyFormats in core.js)
+function renderHistory(format, options = {}) {
+    return formatHistory(chat, getEvaluationConfig(), format, options, getCoreContext());
+}
+
+// Time each rule spent in the current macro evaluation, by rule id
+let ruleTimeSpent = new Map();
+
+// Name of the macro being evaluated, used to pick rule groups assigned to specific macros
+let currentMacro = null;
+
+// Called when a macro starts evaluating
+function beginEvaluation(name) {
+    ruleTimeSpent = new Map();
+    currentMacro = name;
+}
+
+// Add time spent in a rule; a rule over its time budget is disabled on the spot.
+// A regex can't be interrupted, so this stops a slow rule from running again rather
+// than cutting one run short.
+function recordRuleTime(rule, elapsed) {
+    const total = (ruleTimeSpent.get(rule.id) || 0) + elapsed;
+    ruleTimeSpent.set(rule.id, total);
+
+    const budget = getConfig().ruleTimeBudgetMs;
+    if (budget > 0 && total > budget && rule.enabled) {
+        autoDisableRule(rule, `Disabled automatically: took ${Math.round(total)} ms in one macro evaluation (budget ${budget} ms).`);
+    }
+}
+
+function autoDisableRule(rule, reason) {
+    rule.enabled = false;
+    rule.disabledReason = reason;
+    console.warn(`[CTH-R] Rule "${rule.name}": ${reason}`);
+    toastr.warning(reason, `Regex rule "${rule.name}" disabled`);
+    saveAllSettings();
+    renderRegexRules();
+}
+
+// ===== AUDIT LOG =====
+
+// Recent audited macro evaluations, newest first
+const auditLogSize = 5;
+let auditLog = [];
+
+// Per rule id, for this session: { evaluations, matches } counted while the rule was enabled
+let ruleStats = new Map();
+
+// Report of the evaluation in progress and its replacement counts by rule id, or null
+let currentAudit = null;
+let ruleMatchCounts = null;
+
+// Evaluate a macro while recording its rule matches, budget drops and tokens before and
+// after rules (see auditTokens in core.js)
+function auditEvaluation(macro, args, run) {
+    const report = {
+        macro,
+        args: typeof args === 'string' ? args : '',
+        time: new Date(),
+        matches: new Map(),
+        dropped: 0,
+        tokensBefore: 0,
+        tokensAfter: 0
+    };
+
+    let output;
+    currentAudit = report;
+    ruleMatchCounts = report.matches;
+    try {
+        output = run();
+    } finally {
+        currentAudit = null;
+        ruleMatchCounts = null;
+    }
+
+    recordAudit(report);
+    return output;
 }
 
-// Get the last user message from the full chat (before any filtering)
-function getLastUserMessage() {
-    for (let i = chat.length - 1; i >= 0; i--) {
-        if (chat[i].is_user) {
-            return chat[i];
+function recordAudit(report) {
+    report.rules = [...report.matches].map(([id, count]) => ({ name: getRule(id)?.name ?? id, count }));
+    auditLog = [report, ...auditLog].slice(0, auditLogSize);
+
+    const config = getEvaluationConfig();
+    for (const rule of config.regexRules) {
+        if (!isRuleActive(rule, config, currentMacro)) continue;
+        const stats = ruleStats.get(rule.id) || { evaluations: 0, matches: 0 };
+        stats.evaluations++;
+        stats.matches += report.matches.get(rule.id) || 0;
+        ruleStats.set(rule.id, stats);
+    }
+
+    // Macros evaluate during prompt building; the panels are only kept current while the
+    // drawer is open and are rendered again when it opens
+    if ($("#cthr-audit-log").is(":visible")) {
+        renderAuditLog();
+        renderRuleStats();
+    }
+}
+
+function clearAuditLog() {
+    auditLog = [];
+    ruleStats = new Map();
+    renderAuditLog();
+    renderRuleStats();
+}
+
+function renderAuditLog() {
+    const container = $("#cthr-audit-log");
+    container.empty();
+
+    if (auditLog.length === 0) {
+        container.append('<div class="cthr-hint">No macro evaluations recorded yet.</div>');
+        return;
+    }
+
+    for (const report of auditLog) {
+        const call = `{{${report.macro}${report.args ? `::${report.args}` : ''}}}`;
+        const block = $('<details class="cthr-audit-report"></details>');
+        block.append(`<summary>${report.time.toLocaleTimeString()} ${escapeHtml(call)} — ~${report.tokensBefore} → ~${report.tokensAfter} tokens, ${report.dropped} message${report.dropped === 1 ? '' : 's'} dropped by the token limit</summary>`);
+
+        if (report.rules.length === 0) {
+            block.append('<div class="cthr-hint">No rule matched.</div>');
+        }
+        for (const { name, count } of report.rules) {
+            block.append(`<div>${escapeHtml(name)}: ${count} replacement${count === 1 ? '' : 's'}</div>`);
         }
+
+        container.append(block);
     }
-    return null;
 }
 
-// Get chat history with optional skip logic and token limit
-function getChatHistory() {
-    const config = getConfig();
-    let messages = [...chat];
+// Match totals on each rule card, flagging enabled rules that never matched this session
+function renderRuleStats() {
+    for (const rule of getConfig().regexRules) {
+        const stats = ruleStats.get(rule.id);
+        const el = $(`.cthr-rule[data-id="${rule.id}"] .cthr-rule-stats`);
 
-    // Skip last assistant message if enabled
-    if (config.skipLastAssistant && messages.length > 0) {
-        const lastMsg = messages[messages.length - 1];
-        if (!lastMsg.is_user) {
-            messages = messages.slice(0, -1);
+        if (!stats) {
+            el.text('').attr("title", '').removeClass("cthr-rule-never-matched");
+            continue;
         }
+
+        el.text(stats.matches === 0 ? 'never matched' : `${stats.matches} matches`)
+            .attr("title", `${stats.matches} replacements in ${stats.evaluations} macro evaluations this session`)
+            .toggleClass("cthr-rule-never-matched", stats.matches === 0);
     }
+}
 
-    // Skip last user message if enabled (find and remove the last one)
-    if (config.skipLastUser && messages.length > 0) {
-        for (let i = messages.length - 1; i >= 0; i--) {
-            if (messages[i].is_user) {
-                messages.splice(i, 1);
-                break;
+// Checked in a worker so a catastrophic pattern can be stopped by terminating it
+const regexTestWorkerSource = `
+self.onmessage = ({ data }) => {
+    const start = performance.now();
+    try {
+        for (const { source, flags } of data.patterns) {
+            const regex = new RegExp(source, flags);
+            for (const text of data.samples) {
+                text.replace(regex, '');
             }
         }
+        self.postMessage({ ok: true, elapsed: performance.now() - start });
+    } catch (e) {
+        self.postMessage({ ok: false, error: e.message });
     }
+};`;
+
+const regexTestTimeoutMs = 2000;
+
+// Text the sample test runs against: recent chat messages plus inputs that trip
+// common backtracking patterns
+function getRegexTestSamples() {
+    const recent = chat.slice(-100).map(msg => msg.mes || '').join('\n\n');
+    return [
+        recent,
+        'a'.repeat(40) + '!',
+        ' '.repeat(2000) + 'x',
+        `${'word '.repeat(500)}\n`.repeat(4)
+    ];
+}
 
-    // Apply token limit (0 = unlimited)
-    if (config.maxTokens > 0) {
-        const limitedMessages = [];
-        let totalTokens = 0;
-
-        // Start from most recent, work backwards
-        for (let i = messages.length - 1; i >= 0; i--) {
-            const msg = messages[i];
-            const msgTokens = estimateTokens(msg.mes);
-
-            if (config.softTokenLimit) {
-                // Soft limit: include message that crosses threshold, then stop
-                limitedMessages.unshift(msg);
-                totalTokens += msgTokens;
-
-                if (totalTokens >= config.maxTokens) {
-                    break;
-                }
-            } else {
-                // Hard limit: stop before exceeding threshold
-                if (totalTokens + msgTokens > config.maxTokens) {
-                    break;
-                }
-
-                limitedMessages.unshift(msg);
-                totalTokens += msgTokens;
-            }
+// Run a rule's patterns against the samples in a worker.
+// Resolves to { ok, elapsed } or { ok: false, error } (including on timeout).
+function testRuleOnSample(rule) {
+    const patterns = [rule.findRegex, ...getTrimPatterns(rule)]
+        .filter(Boolean)
+        .map(pattern => parseRegexInput(pattern, rule.flags));
+
+    return new Promise(resolve => {
+        let worker;
+        const url = URL.createObjectURL(new Blob([regexTestWorkerSource], { type: 'text/javascript' }));
+        try {
+            worker = new Worker(url);
+        } catch (e) {
+            URL.revokeObjectURL(url);
+            console.warn('[CTH-R] Could not start regex test worker, skipping sample test:', e);
+            resolve({ ok: true, elapsed: 0 });
+            return;
         }
 
-        return limitedMessages;
+        const finish = result => {
+            worker.terminate();
+            URL.revokeObjectURL(url);
+            resolve(result);
+        };
+        const timeout = setTimeout(() => {
+            finish({ ok: false, error: `Did not finish on the sample text within ${regexTestTimeoutMs} ms (likely catastrophic backtracking)` });
+        }, regexTestTimeoutMs);
+
+        worker.onmessage = ({ data }) => {
+            clearTimeout(timeout);
+            finish(data);
+        };
+        worker.postMessage({ patterns, samples: getRegexTestSamples() });
+    });
+}
+
+// Enable a rule only after it passes the sample test. Returns whether it was enabled.
+// New rules start disabled, so every rule goes through this before it first runs.
+async function enableRule(rule) {
+    const result = await testRuleOnSample(rule);
+
+    if (result.ok) {
+        rule.enabled = true;
+        rule.disabledReason = '';
+    } else {
+        rule.enabled = false;
+        rule.disabledReason = `Not enabled: ${result.error}`;
+        toastr.error(result.error, `Regex rule "${rule.name}" not enabled`);
     }
 
-    return messages;
+    saveAllSettings();
+    schedulePreviewRefresh();
+    return rule.enabled;
 }
 
-// Apply all regex rules to text
-function applyRegexRules(text) {
-    const rules = getConfig().regexRules || [];
-    let result = text;
+// Patterns of a rule as tested, to notice edits made while a test was running
+const rulePatternKey = rule => JSON.stringify([rule.findRegex, rule.trimOut, rule.flags]);
 
-    for (const rule of rules) {
-        if (!rule.enabled || !rule.findRegex) continue;
+// Pending re-tests of edited rules, by rule id
+const ruleRetestTimeouts = new Map();
+const ruleRetestDelayMs = 500;
 
-        try {
-            const regex = new RegExp(rule.findRegex, 'g');
-            result = result.replace(regex, rule.replaceWith || '');
-
-            if (rule.trimOut) {
-                const trimPatterns = rule.trimOut.split('\n').filter(p => p.trim());
-                for (const pattern of trimPatterns) {
-                    try {
-                        const trimRegex = new RegExp(pattern, 'g');
-                        result = result.replace(trimRegex, '');
-                    } catch (e) {
-                        console.warn(`[CTH-R] Invalid trim pattern: ${pattern}`, e);
-                    }
-                }
-            }
-        } catch (e) {
-            console.warn(`[CTH-R] Invalid regex in rule "${rule.name}":`, e);
-        }
+// Rules edited since their last sample test, by id. They sit out of macros and the preview
+// until the test passes, so an untested pattern never runs on the main thread.
+const untestedRuleIds = new Set();
+
+// Re-run the sample test shortly after a rule's patterns or flags change; an enabled rule
+// whose new patterns fail it is disabled
+function scheduleRuleRetest(id) {
+    untestedRuleIds.add(id);
+    clearTimeout(ruleRetestTimeouts.get(id));
+    ruleRetestTimeouts.set(id, setTimeout(() => retestRule(id), ruleRetestDelayMs));
+}
+
+async function retestRule(id) {
+    ruleRetestTimeouts.delete(id);
+    const rule = getRule(id);
+    if (!rule?.enabled) {
+        untestedRuleIds.delete(id);
+        return;
     }
 
-    return result;
+    const tested = rulePatternKey(rule);
+    const result = await testRuleOnSample(rule);
+
+    // Edited again while testing: the newer edit scheduled its own test
+    if (rulePatternKey(rule) !== tested || ruleRetestTimeouts.has(id)) return;
+
+    untestedRuleIds.delete(id);
+    if (result.ok || !rule.enabled) {
+        schedulePreviewRefresh();
+        return;
+    }
+
+    rule.enabled = false;
+    rule.disabledReason = `Disabled after editing: ${result.error}`;
+    toastr.error(result.error, `Regex rule "${rule.name}" disabled`);
+    saveAllSettings();
+    schedulePreviewRefresh();
+    $(`.cthr-rule[data-id="${id}"] .cthr-rule-enabled`).prop("checked", false);
+    renderRuleErrors(rule);
 }
 
+async function enableRuleWithTest(id, checkbox) {
+    const rule = getRule(id);
+    if (!rule) return;
+
+    checkbox.prop("disabled", true);
+    const enabled = await enableRule(rule);
+    checkbox.prop("disabled", false).prop("checked", enabled);
+    renderRuleErrors(rule);
+}
+
+function getRuleGroup(id) {
+    return getConfig().ruleGroups.find(group => group.id === id);
+}
+
+// Flags offered as checkboxes in the rule editor
+const regexFlagOptions = [
+    ['g', 'Global'],
+    ['i', 'Ignore case'],
+    ['m', 'Multiline'],
+    ['s', 'Dot matches newline'],
+    ['u', 'Unicode']
+];
+
 function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+// Whether an id from an imported file can be kept. Ids go into data-id attributes and
+// selectors, and jQuery's .data() turns "123", "true", "false" and "null" into other types,
+// which getRule would no longer find.
+function isUsableId(id) {
+    return typeof id === 'string' && /^[\w-]+$/.test(id) && id !== String(+id) && !['true', 'false', 'null'].includes(id);
+}
+
 function renderRegexRules() {
     const container = $("#cthr-regex-rules");
     container.empty();
@@ -166,10 +486,15 @@ function renderRegexRules() {
 
     for (const rule of rules) {
         const ruleHtml = `
-        <div class="cthr-rule" data-id="${rule.id}">
+        <div class="cthr-rule" data-id="${escapeHtml(String(rule.id))}">
             <div class="cthr-rule-header">
+                <i class="fa-solid fa-grip-vertical cthr-rule-drag" title="Drag to reorder"></i>
                 <input type="checkbox" class="cthr-rule-enabled" ${rule.enabled ? 'checked' : ''} title="Enable/Disable" />
                 <input type="text" class="cthr-rule-name text_pole" value="${escapeHtml(rule.name)}" placeholder="Rule name" />
+                <span class="cthr-rule-stats"></span>
+                <button class="cthr-rule-duplicate menu_button" title="Duplicate rule">
+                    <i class="fa-solid fa-clone"></i>
+                </button>
                 <button class="cthr-rule-delete menu_button" title="Delete rule">
                     <i class="fa-solid fa-trash"></i>
                 </button>
@@ -180,24 +505,95 @@ function renderRegexRules() {
             <div class="cthr-rule-body">
                 <label>
                     Find Regex:
-                    <input type="text" class="cthr-rule-find text_pole" value="${escapeHtml(rule.findRegex)}" placeholder="Regular expression" />
+                    <input type="text" class="cthr-rule-find text_pole" value="${escapeHtml(rule.findRegex)}" placeholder="Regular expression or /pattern/flags" />
                 </label>
+                <div class="cthr-rule-flags">
+                    <span>Flags:</span>
+                    ${regexFlagOptions.map(([flag, label]) => `
+                    <label class="checkbox_label" title="${label} (${flag})">
+                        <input type="checkbox" class="cthr-rule-flag" value="${flag}" ${rule.flags.includes(flag) ? 'checked' : ''} />
+                        <span>${label}</span>
+                    </label>`).join('')}
+                </div>
                 <label>
                     Replace With:
                     <textarea class="cthr-rule-replace text_pole" placeholder="Use $1, $2 for capture groups...">${escapeHtml(rule.replaceWith)}</textarea>
                 </label>
                 <label>
                     Trim Out (one pattern per line):
-                    <textarea class="cthr-rule-trim text_pole" placeholder="Additional patterns to remove...">${escapeHtml(rule.trimOut)}</textarea>
+                    <textarea class="cthr-rule-trim text_pole" placeholder="Additional patterns to remove... (/pattern/flags overrides the rule flags)">${escapeHtml(rule.trimOut)}</textarea>
+                </label>
+                <div class="cthr-rule-errors"></div>
+                <div class="cthr-rule-scope">
+                    <label>
+                        Mode:
+                        <select class="cthr-rule-mode text_pole">
+                            <option value="replace" ${rule.mode === 'replace' ? 'selected' : ''}>Find / replace</option>
+                            <option value="keepLast" ${rule.mode === 'keepLast' ? 'selected' : ''}>Keep last N occurrences</option>
+                            <option value="keepLatestAssistant" ${rule.mode === 'keepLatestAssistant' ? 'selected' : ''}>Keep only latest assistant message's</option>
+                        </select>
+                    </label>
+                    <label>
+                        Keep N:
+                        <input type="number" class="cthr-rule-keep-count text_pole" min="0" value="${rule.keepCount}" />
+                    </label>
+                </div>
+                <p class="cthr-hint">Keep modes match across the whole history (per message, honoring roles and depth) and replace older occurrences with Replace With, e.g. an empty value or "[World State omitted]".</p>
+                <label>
+                    Apply To:
+                    <select class="cthr-rule-target text_pole">
+                        <option value="output" ${rule.target === 'output' ? 'selected' : ''}>Final macro output</option>
+                        <option value="message" ${rule.target === 'message' ? 'selected' : ''}>Each message (before formatting)</option>
+                        <option value="aging" ${rule.target === 'aging' ? 'selected' : ''}>Extract from aged messages</option>
+                    </select>
                 </label>
+                <label>
+                    Group:
+                    <select class="cthr-rule-group text_pole">
+                        <option value="">None</option>
+                        ${getConfig().ruleGroups.map(group => `<option value="${group.id}" ${rule.groupId === group.id ? 'selected' : ''}>${escapeHtml(group.name)}</option>`).join('')}
+                    </select>
+                </label>
+                <div class="cthr-rule-scope">
+                    <span>Roles:</span>
+                    <label class="checkbox_label">
+                        <input type="checkbox" class="cthr-rule-role" value="user" ${rule.roles.includes('user') ? 'checked' : ''} />
+                        <span>User</span>
+                    </label>
+                    <label class="checkbox_label">
+                        <input type="checkbox" class="cthr-rule-role" value="assistant" ${rule.roles.includes('assistant') ? 'checked' : ''} />
+                        <span>Assistant</span>
+                    </label>
+                    <label class="checkbox_label">
+                        <input type="checkbox" class="cthr-rule-role" value="system" ${rule.roles.includes('system') ? 'checked' : ''} />
+                        <span>System</span>
+                    </label>
+                </div>
+                <div class="cthr-rule-scope">
+                    <label>
+                        Min Depth:
+                        <input type="number" class="cthr-rule-min-depth text_pole" min="0" value="${rule.minDepth ?? ''}" placeholder="None" />
+                    </label>
+                    <label>
+                        Max Depth:
+                        <input type="number" class="cthr-rule-max-depth text_pole" min="0" value="${rule.maxDepth ?? ''}" placeholder="None" />
+                    </label>
+                </div>
+                <p class="cthr-hint">Roles and depth apply to per-message and aged-message rules. Depth 0 is the last message in the chat. Extraction rules keep only their matches; Replace With is then a per-match template such as $1.</p>
             </div>
         </div>`;
         container.append(ruleHtml);
+        renderRuleErrors(rule);
     }
+    renderRuleStats();
 
     $(".cthr-rule-enabled").off("change").on("change", function() {
         const id = $(this).closest(".cthr-rule").data("id");
-        updateRule(id, "enabled", $(this).is(":checked"));
+        if ($(this).is(":checked")) {
+            enableRuleWithTest(id, $(this));
+        } else {
+            updateRule(id, "enabled", false);
+        }
     });
 
     $(".cthr-rule-name").off("input").on("input", function() {
@@ -208,6 +604,16 @@ function renderRegexRules() {
     $(".cthr-rule-find").off("input").on("input", function() {
         const id = $(this).closest(".cthr-rule").data("id");
         updateRule(id, "findRegex", $(this).val());
+        renderRuleErrors(getRule(id));
+        scheduleRuleRetest(id);
+    });
+
+    $(".cthr-rule-flag").off("change").on("change", function() {
+        const ruleEl = $(this).closest(".cthr-rule");
+        const flags = ruleEl.find(".cthr-rule-flag:checked").map(function() { return $(this).val(); }).get().join('');
+        updateRule(ruleEl.data("id"), "flags", flags);
+        renderRuleErrors(getRule(ruleEl.data("id")));
+        scheduleRuleRetest(ruleEl.data("id"));
     });
 
     $(".cthr-rule-replace").off("input").on("input", function() {
@@ -218,6 +624,49 @@ function renderRegexRules() {
     $(".cthr-rule-trim").off("input").on("input", function() {
         const id = $(this).closest(".cthr-rule").data("id");
         updateRule(id, "trimOut", $(this).val());
+        renderRuleErrors(getRule(id));
+        scheduleRuleRetest(id);
+    });
+
+    $(".cthr-rule-mode").off("change").on("change", function() {
+        const id = $(this).closest(".cthr-rule").data("id");
+        updateRule(id, "mode", $(this).val());
+    });
+
+    $(".cthr-rule-keep-count").off("input").on("input", function() {
+        const id = $(this).closest(".cthr-rule").data("id");
+        updateRule(id, "keepCount", Math.max(0, parseInt($(this).val()) || 0));
+    });
+
+    $(".cthr-rule-target").off("change").on("change", function() {
+        const id = $(this).closest(".cthr-rule").data("id");
+        updateRule(id, "target", $(this).val());
+    });
+
+    $(".cthr-rule-role").off("change").on("change", function() {
+        const ruleEl = $(this).closest(".cthr-rule");
+        const roles = ruleEl.find(".cthr-rule-role:checked").map(function() { return $(this).val(); }).get();
+        updateRule(ruleEl.data("id"), "roles", roles);
+    });
+
+    $(".cthr-rule-min-depth").off("input").on("input", function() {
+        const id = $(this).closest(".cthr-rule").data("id");
+        updateRule(id, "minDepth", parseDepth($(this).val()));
+    });
+
+    $(".cthr-rule-max-depth").off("input").on("input", function() {
+        const id = $(this).closest(".cthr-rule").data("id");
+        updateRule(id, "maxDepth", parseDepth($(this).val()));
+    });
+
+    $(".cthr-rule-group").off("change").on("change", function() {
+        const id = $(this).closest(".cthr-rule").data("id");
+        updateRule(id, "groupId", $(this).val());
+    });
+
+    $(".cthr-rule-duplicate").off("click").on("click", function() {
+        const id = $(this).closest(".cthr-rule").data("id");
+        duplicateRule(id);
     });
 
     $(".cthr-rule-delete").off("click").on("click", function() {
@@ -225,45 +674,596 @@ function renderRegexRules() {
         deleteRule(id);
     });
 
-    $(".cthr-rule-toggle").off("click").on("click", function() {
-        $(this).closest(".cthr-rule").toggleClass("collapsed");
-        $(this).find("i").toggleClass("fa-chevron-down fa-chevron-right");
-    });
+    $(".cthr-rule-toggle").off("click").on("click", function() {
+        $(this).closest(".cthr-rule").toggleClass("collapsed");
+        $(this).find("i").toggleClass("fa-chevron-down fa-chevron-right");
+    });
+}
+
+// Show compile errors inline on the rule card
+function renderRuleErrors(rule) {
+    if (!rule) return;
+    const ruleEl = $(`.cthr-rule[data-id="${rule.id}"]`);
+    const errors = validateRule(rule);
+    if (rule.disabledReason) {
+        errors.unshift(rule.disabledReason);
+    }
+
+    const warnings = [rule.findRegex, ...getTrimPatterns(rule)]
+        .filter(pattern => pattern && hasNestedQuantifier(pattern))
+        .map(pattern => `Warning: "${pattern}" has nested quantifiers and may backtrack catastrophically on some text.`);
+
+    ruleEl.toggleClass("cthr-rule-invalid", errors.length > 0);
+    ruleEl.find(".cthr-rule-errors").html([
+        ...errors.map(e => `<div>${escapeHtml(e)}</div>`),
+        ...warnings.map(w => `<div class="cthr-rule-warning">${escapeHtml(w)}</div>`)
+    ].join(''));
+}
+
+function renderExcludeErrors() {
+    const errors = [];
+    for (const line of getConfig().excludePatterns.split('\n').filter(p => p.trim())) {
+        try {
+            compileRegex(line, 'i');
+        } catch (e) {
+            errors.push(`"${line}": ${e.message}`);
+        }
+    }
+    $("#cthr-exclude-errors").html(errors.map(e => `<div>${escapeHtml(e)}</div>`).join(''));
+}
+
+// Empty depth field means no bound
+function parseDepth(value) {
+    const depth = parseInt(value);
+    return isNaN(depth) || depth < 0 ? null : depth;
+}
+
+function escapeHtml(str) {
+    if (!str) return '';
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function addRule() {
+    const rules = getConfig().regexRules;
+    rules.push(normalizeRule({
+        id: generateId(),
+        name: `Rule ${rules.length + 1}`,
+        enabled: false
+    }));
+    saveAllSettings();
+    renderRegexRules();
+}
+
+function getRule(id) {
+    return getConfig().regexRules.find(r => r.id === id);
+}
+
+function updateRule(id, field, value) {
+    const rule = getRule(id);
+    if (rule) {
+        rule[field] = value;
+        saveAllSettings();
+        schedulePreviewRefresh();
+    }
+}
+
+function duplicateRule(id) {
+    const rules = getConfig().regexRules;
+    const index = rules.findIndex(r => r.id === id);
+    if (index === -1) return;
+
+    rules.splice(index + 1, 0, {
+        ...structuredClone(rules[index]),
+        id: generateId(),
+        name: `${rules[index].name} (copy)`
+    });
+    saveAllSettings();
+    renderRegexRules();
+    schedulePreviewRefresh();
+}
+
+// Reorder rules to match the rule cards after a drag
+function reorderRules(ids) {
+    const config = getConfig();
+    const position = id => {
+        const index = ids.indexOf(id);
+        return index === -1 ? Infinity : index;
+    };
+    config.regexRules = [...config.regexRules].sort((a, b) => position(a.id) - position(b.id));
+    saveAllSettings();
+    schedulePreviewRefresh();
+}
+
+function deleteRule(id) {
+    const config = getConfig();
+    config.regexRules = config.regexRules.filter(r => r.id !== id);
+    saveAllSettings();
+    renderRegexRules();
+    schedulePreviewRefresh();
+}
+
+function renderSpeakerOverrides() {
+    const container = $("#cthr-speaker-overrides");
+    container.empty();
+
+    for (const override of getConfig().speakerOverrides) {
+        container.append(`
+        <div class="cthr-speaker-override" data-id="${override.id}">
+            <input type="text" class="cthr-override-field text_pole" data-field="speaker" value="${escapeHtml(override.speaker)}" placeholder="Speaker (character or persona name)" />
+            <input type="text" class="cthr-override-field text_pole" data-field="name" value="${escapeHtml(override.name)}" placeholder="Name" />
+            <input type="text" class="cthr-override-field text_pole" data-field="header" value="${escapeHtml(override.header)}" placeholder="Header" />
+            <input type="text" class="cthr-override-field text_pole" data-field="xmlTag" value="${escapeHtml(override.xmlTag)}" placeholder="XML tag" />
+            <button class="cthr-override-delete menu_button" title="Delete override">
+                <i class="fa-solid fa-trash"></i>
+            </button>
+        </div>`);
+    }
+
+    container.find(".cthr-override-field").on("input", function() {
+        const id = $(this).closest(".cthr-speaker-override").data("id");
+        const override = getConfig().speakerOverrides.find(o => o.id === id);
+        if (override) {
+            override[$(this).data("field")] = $(this).val();
+            saveAllSettings();
+            schedulePreviewRefresh();
+        }
+    });
+
+    container.find(".cthr-override-delete").on("click", function() {
+        const id = $(this).closest(".cthr-speaker-override").data("id");
+        const config = getConfig();
+        config.speakerOverrides = config.speakerOverrides.filter(o => o.id !== id);
+        saveAllSettings();
+        renderSpeakerOverrides();
+        schedulePreviewRefresh();
+    });
+}
+
+function addSpeakerOverride() {
+    getConfig().speakerOverrides.push({
+        id: generateId(),
+        speaker: '',
+        name: '',
+        header: '',
+        xmlTag: ''
+    });
+    saveAllSettings();
+    renderSpeakerOverrides();
+}
+
+function renderRuleGroups() {
+    const container = $("#cthr-rule-groups");
+    container.empty();
+
+    for (const group of getConfig().ruleGroups) {
+        container.append(`
+        <div class="cthr-rule-group-row" data-id="${group.id}">
+            <input type="checkbox" class="cthr-group-enabled" ${group.enabled ? 'checked' : ''} title="Enable/Disable all rules in this group" />
+            <input type="text" class="cthr-group-name text_pole" value="${escapeHtml(group.name)}" placeholder="Group name" />
+            <input type="text" class="cthr-group-macros text_pole" value="${escapeHtml(group.macros.join(', '))}" placeholder="All macros, or e.g. xmlHistoryR, lastUserMsgXmlR" />
+            <button class="cthr-group-delete menu_button" title="Delete group (its rules become ungrouped)">
+                <i class="fa-solid fa-trash"></i>
+            </button>
+        </div>`);
+    }
+
+    container.find(".cthr-group-enabled").on("change", function() {
+        updateRuleGroup($(this).closest(".cthr-rule-group-row").data("id"), "enabled", $(this).is(":checked"));
+    });
+
+    container.find(".cthr-group-name").on("input", function() {
+        const id = $(this).closest(".cthr-rule-group-row").data("id");
+        updateRuleGroup(id, "name", $(this).val());
+        $(`.cthr-rule-group option[value="${id}"]`).text($(this).val());
+    });
+
+    container.find(".cthr-group-macros").on("input", function() {
+        const macros = $(this).val().split(',').map(name => name.trim().replace(/^\{\{|\}\}$/g, '')).filter(Boolean);
+        updateRuleGroup($(this).closest(".cthr-rule-group-row").data("id"), "macros", macros);
+    });
+
+    container.find(".cthr-group-delete").on("click", function() {
+        deleteRuleGroup($(this).closest(".cthr-rule-group-row").data("id"));
+    });
+}
+
+function addRuleGroup() {
+    const groups = getConfig().ruleGroups;
+    groups.push({
+        id: generateId(),
+        name: `Group ${groups.length + 1}`,
+        enabled: true,
+        macros: []
+    });
+    saveAllSettings();
+    renderRuleGroups();
+    renderRegexRules();
+}
+
+function updateRuleGroup(id, field, value) {
+    const group = getRuleGroup(id);
+    if (group) {
+        group[field] = value;
+        saveAllSettings();
+        renderRuleStats();
+        schedulePreviewRefresh();
+    }
+}
+
+function deleteRuleGroup(id) {
+    const config = getConfig();
+    config.ruleGroups = config.ruleGroups.filter(group => group.id !== id);
+    for (const rule of config.regexRules) {
+        if (rule.groupId === id) rule.groupId = '';
+    }
+    saveAllSettings();
+    renderRuleGroups();
+    renderRegexRules();
+    schedulePreviewRefresh();
+}
+
+function getCustomMacros() {
+    return extension_settings[extensionName].customMacros;
+}
+
+function getCustomMacro(id) {
+    return getCustomMacros().find(m => m.id === id);
+}
+
+function renderCustomMacros() {
+    const container = $("#cthr-custom-macros");
+    container.empty();
+
+    const macros = getCustomMacros();
+
+    if (macros.length === 0) {
+        container.append('<div class="cthr-no-rules">No custom macros yet. Click "Add Macro" to create one.</div>');
+        return;
+    }
+
+    for (const macro of macros) {
+        const macroHtml = `
+        <div class="cthr-rule cthr-custom-macro" data-id="${macro.id}">
+            <div class="cthr-rule-header">
+                <input type="text" class="cthr-macro-name text_pole" value="${escapeHtml(macro.name)}" placeholder="Macro name, e.g. myHistory" />
+                <button class="cthr-macro-delete menu_button" title="Delete macro">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+                <button class="cthr-rule-toggle menu_button" title="Expand/Collapse">
+                    <i class="fa-solid fa-chevron-down"></i>
+                </button>
+            </div>
+            <div class="cthr-rule-body">
+                <div class="cthr-rule-errors"></div>
+                <label>
+                    User Message Template:
+                    <textarea class="cthr-macro-field text_pole" data-field="userTemplate">${escapeHtml(macro.userTemplate)}</textarea>
+                </label>
+                <label>
+                    Assistant Message Template:
+                    <textarea class="cthr-macro-field text_pole" data-field="assistantTemplate">${escapeHtml(macro.assistantTemplate)}</textarea>
+                </label>
+                <label>
+                    Separator:
+                    <textarea class="cthr-macro-field text_pole" data-field="separator">${escapeHtml(macro.separator)}</textarea>
+                </label>
+                <label>
+                    Prefix:
+                    <textarea class="cthr-macro-field text_pole" data-field="prefix">${escapeHtml(macro.prefix)}</textarea>
+                </label>
+                <label>
+                    Suffix:
+                    <textarea class="cthr-macro-field text_pole" data-field="suffix">${escapeHtml(macro.suffix)}</textarea>
+                </label>
+            </div>
+        </div>`;
+        container.append(macroHtml);
+        renderCustomMacroError(macro);
+    }
+
+    container.find(".cthr-macro-name").on("input", function() {
+        const id = $(this).closest(".cthr-custom-macro").data("id");
+        updateCustomMacro(id, "name", $(this).val().trim());
+    });
+
+    container.find(".cthr-macro-field").on("input", function() {
+        const id = $(this).closest(".cthr-custom-macro").data("id");
+        updateCustomMacro(id, $(this).data("field"), $(this).val());
+    });
+
+    container.find(".cthr-macro-delete").on("click", function() {
+        deleteCustomMacro($(this).closest(".cthr-custom-macro").data("id"));
+    });
+
+    container.find(".cthr-rule-toggle").on("click", function() {
+        $(this).closest(".cthr-rule").toggleClass("collapsed");
+        $(this).find("i").toggleClass("fa-chevron-down fa-chevron-right");
+    });
+}
+
+function renderCustomMacroError(macro) {
+    const macroEl = $(`.cthr-custom-macro[data-id="${macro.id}"]`);
+    const error = getCustomMacroNameError(macro);
+    macroEl.toggleClass("cthr-rule-invalid", Boolean(error));
+    macroEl.find(".cthr-rule-errors").text(error || '');
+}
+
+function addCustomMacro() {
+    const macros = getCustomMacros();
+    macros.push(fillDefaults({
+        id: generateId(),
+        name: `customHistory${macros.length + 1}`
+    }, defaultCustomMacro));
+    registerCustomMacro(macros[macros.length - 1]);
+    saveAllSettings();
+    renderCustomMacros();
+    renderPreviewMacroOptions();
+}
+
+function updateCustomMacro(id, field, value) {
+    const macro = getCustomMacro(id);
+    if (!macro) return;
+
+    macro[field] = value;
+    saveAllSettings();
+
+    if (field === 'name') {
+        // Other macros may have been blocked by (or freed from) a name conflict
+        registerCustomMacros();
+        for (const other of getCustomMacros()) {
+            renderCustomMacroError(other);
+        }
+        renderPreviewMacroOptions();
+    }
+    schedulePreviewRefresh();
+}
+
+function deleteCustomMacro(id) {
+    const settings = extension_settings[extensionName];
+    unregisterCustomMacro(id);
+    settings.customMacros = settings.customMacros.filter(m => m.id !== id);
+    registerCustomMacros();
+    saveAllSettings();
+    renderCustomMacros();
+    renderPreviewMacroOptions();
+}
+
+// SillyTavern regex script placements that map to message roles
+const scriptPlacementRoles = {
+    1: 'user',      // User input
+    2: 'assistant'  // AI output
+};
+
+function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Convert a SillyTavern Regex extension script into a rule
+function ruleFromRegexScript(script) {
+    const roles = (script.placement || []).map(p => scriptPlacementRoles[p]).filter(Boolean);
+    const depth = value => (typeof value === 'number' && value >= 0 ? value : null);
+
+    return {
+        id: script.id,
+        name: script.scriptName || '',
+        enabled: !script.disabled,
+        findRegex: script.findRegex || '',
+        replaceWith: (script.replaceString || '').replace(/\{\{match\}\}/gi, '$$&'),
+        trimOut: (script.trimStrings || []).filter(Boolean).map(escapeRegex).join('\n'),
+        target: 'message',
+        roles: roles.length > 0 ? roles : [...defaultRule.roles],
+        minDepth: depth(script.minDepth),
+        maxDepth: depth(script.maxDepth)
+    };
+}
+
+function isRegexScript(item) {
+    return item && typeof item === 'object' && 'scriptName' in item && 'findRegex' in item;
+}
+
+// Read rules from an exported rule set, a single regex script or an array of scripts
+function parseRuleImport(data) {
+    let rules;
+
+    if (data && Array.isArray(data.rules)) {
+        rules = data.rules;
+    } else if (isRegexScript(data)) {
+        rules = [ruleFromRegexScript(data)];
+    } else if (Array.isArray(data) && data.every(isRegexScript)) {
+        rules = data.map(ruleFromRegexScript);
+    } else {
+        throw new Error('Unrecognized rule file. Expected an exported rule set or SillyTavern regex scripts.');
+    }
+
+    return rules
+        .filter(rule => rule && typeof rule === 'object')
+        .map(rule => normalizeRule({ ...rule }));
+}
+
+function exportRules() {
+    const data = {
+        type: 'cthr-rules',
+        version: 1,
+        rules: getConfig().regexRules,
+        groups: getConfig().ruleGroups
+    };
+    download(JSON.stringify(data, null, 4), 'cthr-rules.json', 'application/json');
+}
+
+async function importRules(file, mode) {
+    try {
+        const data = JSON.parse(await getFileText(file));
+        const imported = parseRuleImport(data);
+        const config = getConfig();
+        const rules = mode === 'replace' ? [] : [...config.regexRules];
+        const groups = mode === 'replace' ? [] : [...config.ruleGroups];
+        const usedIds = new Set(rules.map(r => r.id));
+
+        // Imported groups are matched to existing ones by name
+        const groupIds = new Map();
+        for (const group of Array.isArray(data?.groups) ? data.groups : []) {
+            if (!group?.id || typeof group.name !== 'string') continue;
+            let existing = groups.find(g => g.name === group.name);
+            if (!existing) {
+                existing = {
+                    id: generateId(),
+                    name: group.name,
+                    enabled: group.enabled !== false,
+                    macros: Array.isArray(group.macros) ? group.macros.filter(m => typeof m === 'string') : []
+                };
+                groups.push(existing);
+            }
+            groupIds.set(group.id, existing.id);
+        }
+
+        // Imported rules go live only after passing the sample test, like rules enabled by hand
+        const toEnable = imported.filter(rule => rule.enabled);
+        for (const rule of toEnable) {
+            rule.enabled = false;
+        }
+
+        for (const rule of imported) {
+            if (!isUsableId(rule.id) || usedIds.has(rule.id)) {
+                rule.id = generateId();
+            }
+            usedIds.add(rule.id);
+            rule.groupId = groupIds.get(rule.groupId) ?? '';
+            rules.push(rule);
+        }
+
+        config.regexRules = rules;
+        config.ruleGroups = groups;
+        renderRuleGroups();
+        saveAllSettings();
+        renderRegexRules();
+        schedulePreviewRefresh();
+        toastr.success(`Imported ${imported.length} rule${imported.length === 1 ? '' : 's'}`);
+
+        for (const rule of toEnable) {
+            await enableRule(rule);
+        }
+        if (toEnable.length > 0) {
+            renderRegexRules();
+        }
+    } catch (e) {
+        console.error('[CTH-R] Rule import failed:', e);
+        toastr.error(e.message, 'Rule import failed');
+    }
+}
+
+// Avatar file of the current character, used as its profile binding key (none in group chats)
+function getCurrentCharacterKey() {
+    return characters[this_chid]?.avatar || null;
 }
 
-function escapeHtml(str) {
-    if (!str) return '';
-    return str.replace(/&/g, '&').replace(/</g, '<').replace(/>/g, '>').replace(/"/g, '"');
+// Chat binding wins over character binding, otherwise the default profile is used
+function resolveProfileName() {
+    const settings = extension_settings[extensionName];
+    const candidates = [
+        settings.chatProfiles[getCurrentChatId()],
+        settings.characterProfiles[getCurrentCharacterKey()],
+        defaultProfileName
+    ];
+    return candidates.find(name => name && settings.profiles[name]);
 }
 
-function addRule() {
-    const rules = getConfig().regexRules;
-    rules.push({
-        id: generateId(),
-        name: `Rule ${rules.length + 1}`,
-        enabled: true,
-        findRegex: '',
-        replaceWith: '',
-        trimOut: ''
-    });
+function switchProfile(name) {
+    const settings = extension_settings[extensionName];
+    if (!settings.profiles[name] || settings.activeProfile === name) return;
+
+    settings.activeProfile = name;
     saveAllSettings();
-    renderRegexRules();
+    populateSettingsUI();
+    schedulePreviewRefresh();
 }
 
-function updateRule(id, field, value) {
-    const rules = getConfig().regexRules;
-    const rule = rules.find(r => r.id === id);
-    if (rule) {
-        rule[field] = value;
-        saveAllSettings();
+function onChatChanged() {
+    switchProfile(resolveProfileName());
+    renderProfiles();
+}
+
+async function createProfile() {
+    const settings = extension_settings[extensionName];
+    const name = String(await callGenericPopup('New profile name (starts as a copy of the current profile):', POPUP_TYPE.INPUT, '') || '').trim();
+    if (!name) return;
+
+    if (settings.profiles[name]) {
+        toastr.warning(`Profile "${name}" already exists`);
+        return;
     }
+
+    settings.profiles[name] = structuredClone(getConfig());
+    switchProfile(name);
 }
 
-function deleteRule(id) {
-    const config = getConfig();
-    config.regexRules = config.regexRules.filter(r => r.id !== id);
+async function deleteProfile() {
+    const settings = extension_settings[extensionName];
+    const name = settings.activeProfile;
+
+    if (name === defaultProfileName) {
+        toastr.warning('The default profile cannot be deleted');
+        return;
+    }
+
+    const confirmed = await callGenericPopup(`Delete profile "${name}"? Characters and chats bound to it will use the default profile.`, POPUP_TYPE.CONFIRM);
+    if (!confirmed) return;
+
+    delete settings.profiles[name];
+    for (const bindings of [settings.characterProfiles, settings.chatProfiles]) {
+        for (const [key, value] of Object.entries(bindings)) {
+            if (value === name) delete bindings[key];
+        }
+    }
+
+    settings.activeProfile = resolveProfileName();
     saveAllSettings();
-    renderRegexRules();
+    populateSettingsUI();
+    schedulePreviewRefresh();
+}
+
+// Bind the active profile to the current character/chat, or unbind it if already bound
+function toggleProfileBinding(bindingsKey, key) {
+    if (!key) {
+        toastr.info(bindingsKey === 'chatProfiles' ? 'No chat is open' : 'No character is selected');
+        return;
+    }
+
+    const settings = extension_settings[extensionName];
+    const bindings = settings[bindingsKey];
+
+    if (bindings[key] === settings.activeProfile) {
+        delete bindings[key];
+    } else {
+        bindings[key] = settings.activeProfile;
+    }
+
+    saveAllSettings();
+    renderProfiles();
+}
+
+function renderProfiles() {
+    const settings = extension_settings[extensionName];
+    const select = $("#cthr-profile");
+    select.empty();
+
+    for (const name of Object.keys(settings.profiles)) {
+        select.append(`<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`);
+    }
+    select.val(settings.activeProfile);
+
+    const characterKey = getCurrentCharacterKey();
+    const chatId = getCurrentChatId();
+    const boundToCharacter = Boolean(characterKey) && settings.characterProfiles[characterKey] === settings.activeProfile;
+    const boundToChat = Boolean(chatId) && settings.chatProfiles[chatId] === settings.activeProfile;
+
+    $("#cthr-profile-bind-character").toggleClass("active", boundToCharacter);
+    $("#cthr-profile-bind-chat").toggleClass("active", boundToChat);
+    $("#cthr-profile-delete").prop("disabled", settings.activeProfile === defaultProfileName);
+
+    const bindings = [];
+    if (boundToCharacter) bindings.push(`character ${characters[this_chid]?.name}`);
+    if (boundToChat) bindings.push('this chat');
+    $("#cthr-profile-status").text(bindings.length > 0 ? `Bound to ${bindings.join(' and ')}.` : 'Not bound to the current character or chat.');
 }
 
 function createSettingsUI() {
@@ -276,6 +1276,27 @@ function createSettingsUI() {
             </div>
             <div class="inline-drawer-content">
                 <div class="cthr-settings-block">
+                    <h4>Profile</h4>
+                    <div class="cthr-profile-controls">
+                        <select id="cthr-profile" class="text_pole"></select>
+                        <button id="cthr-profile-new" class="menu_button" title="New profile (copy of current)">
+                            <i class="fa-solid fa-plus"></i>
+                        </button>
+                        <button id="cthr-profile-delete" class="menu_button" title="Delete profile">
+                            <i class="fa-solid fa-trash"></i>
+                        </button>
+                        <button id="cthr-profile-bind-character" class="menu_button" title="Use this profile for the current character">
+                            <i class="fa-solid fa-user"></i>
+                        </button>
+                        <button id="cthr-profile-bind-chat" class="menu_button" title="Use this profile for the current chat">
+                            <i class="fa-solid fa-comments"></i>
+                        </button>
+                    </div>
+                    <p id="cthr-profile-status" class="cthr-hint"></p>
+                    <p class="cthr-hint">All settings below belong to the selected profile. On chat change the profile bound to the chat is used, then the one bound to the character, then "${defaultProfileName}".</p>
+
+                    <hr />
+
                     <h4>Names (for colon/numbered styles)</h4>
                     <label>
                         User Name:
@@ -285,6 +1306,10 @@ function createSettingsUI() {
                         Assistant Name:
                         <input id="cthr-assistantName" type="text" class="text_pole" />
                     </label>
+                    <label class="checkbox_label">
+                        <input id="cthr-useRealNames" type="checkbox" />
+                        <span>Use real speaker names (persona and character names, for group chats)</span>
+                    </label>
 
                     <h4>Headers (for header style)</h4>
                     <label>
@@ -295,6 +1320,7 @@ function createSettingsUI() {
                         Assistant Header:
                         <input id="cthr-assistantHeader" type="text" class="text_pole" />
                     </label>
+                    <p class="cthr-hint"><code>{name}</code> in a header is replaced with the speaker name. Headers can also show message metadata: <code>{timestamp}</code>, <code>{chatIndex}</code>, <code>{avatar}</code>, <code>{swipe}</code> and <code>{swipes}</code>.</p>
 
                     <h4>XML Tags (for xml style)</h4>
                     <label>
@@ -305,6 +1331,25 @@ function createSettingsUI() {
                         Assistant Tag:
                         <input id="cthr-xmlAssistantTag" type="text" class="text_pole" />
                     </label>
+                    <label>
+                        Message Text Escaping (xml and bracket styles):
+                        <select id="cthr-contentEscaping" class="text_pole">
+                            <option value="none">None</option>
+                            <option value="escape">Escape (&amp;lt; &amp;amp; in XML, \\[ \\] in brackets)</option>
+                            <option value="cdata">Wrap in CDATA</option>
+                        </select>
+                    </label>
+                    <label class="checkbox_label">
+                        <input id="cthr-xmlSpeakerAttribute" type="checkbox" />
+                        <span>Add speaker name as attribute, e.g. &lt;teacher name="Seraphina"&gt;</span>
+                    </label>
+
+                    <h4>Speaker Overrides</h4>
+                    <p class="cthr-hint">Per-character name, header and XML tag, matched by the message's speaker name. Empty fields keep the defaults above.</p>
+                    <div id="cthr-speaker-overrides"></div>
+                    <button id="cthr-add-override" class="menu_button">
+                        <i class="fa-solid fa-plus"></i> Add Override
+                    </button>
 
                     <hr />
 
@@ -329,19 +1374,187 @@ function createSettingsUI() {
                         <input id="cthr-maxTokens" type="number" class="text_pole" min="0" step="100" />
                     </label>
 
+                    <label>
+                        Budget Strategy:
+                        <select id="cthr-budgetStrategy" class="text_pole">
+                            <option value="recent">Keep most recent</option>
+                            <option value="pinFirst">Keep first N + most recent</option>
+                            <option value="firstLast">Keep first and last, drop middle</option>
+                        </select>
+                    </label>
+
+                    <label>
+                        Pinned Opening Messages (for "first N + most recent"):
+                        <input id="cthr-pinnedMessages" type="number" class="text_pole" min="0" step="1" />
+                    </label>
+
+                    <label>
+                        Elision Marker (empty = none):
+                        <input id="cthr-elisionMarker" type="text" class="text_pole" placeholder="[... {count} messages omitted ...]" />
+                    </label>
+                    <p class="cthr-hint">The marker is inserted where the token limit cut messages; <code>{count}</code> is the number of omitted messages.</p>
+
+                    <h4>Aging</h4>
+                    <label>
+                        Old Messages:
+                        <select id="cthr-agingMode" class="text_pole">
+                            <option value="off">Keep unchanged</option>
+                            <option value="truncate">Truncate to first/last characters</option>
+                            <option value="extract">Reduce to what extraction rules match</option>
+                            <option value="summary">Replace with chat summary (Summarize extension)</option>
+                        </select>
+                    </label>
+
+                    <label>
+                        Aging Depth (messages from the end):
+                        <input id="cthr-agingDepth" type="number" class="text_pole" min="0" step="1" />
+                    </label>
+
+                    <div class="cthr-rule-scope">
+                        <label>
+                            Keep First Chars:
+                            <input id="cthr-agingHeadChars" type="number" class="text_pole" min="0" step="50" />
+                        </label>
+                        <label>
+                            Keep Last Chars:
+                            <input id="cthr-agingTailChars" type="number" class="text_pole" min="0" step="50" />
+                        </label>
+                    </div>
+
+                    <label>
+                        Summary Template:
+                        <textarea id="cthr-summaryTemplate" class="text_pole"></textarea>
+                    </label>
+                    <p class="cthr-hint">Messages at or beyond the aging depth are compressed before the token limit applies. Summary mode replaces them with <code>{summary}</code> from the Summarize extension and keeps them unchanged when no summary exists.</p>
+
+                    <h4>Reasoning and Swipes</h4>
+                    <label>
+                        Stored Reasoning:
+                        <select id="cthr-reasoningMode" class="text_pole">
+                            <option value="strip">Leave out</option>
+                            <option value="include">Include before each message</option>
+                        </select>
+                    </label>
+
+                    <label>
+                        Reasoning Template:
+                        <textarea id="cthr-reasoningTemplate" class="text_pole"></textarea>
+                    </label>
+
+                    <label>
+                        Past Assistant Turns:
+                        <select id="cthr-swipeMode" class="text_pole">
+                            <option value="selected">Use the selected swipe</option>
+                            <option value="original">Use the original (first) swipe</option>
+                        </select>
+                    </label>
+                    <p class="cthr-hint">Reasoning is the model's thinking that SillyTavern stores with a message; included reasoning is part of the message text, so per-message rules apply to it. The latest assistant message always uses its selected swipe.</p>
+
+                    <label>
+                        Token Counting:
+                        <select id="cthr-tokenCounter" class="text_pole">
+                            <option value="estimate">Estimate (chars per token)</option>
+                            <option value="tokenizer">SillyTavern tokenizer (current API/model)</option>
+                        </select>
+                    </label>
+
                     <label>
                         Chars per Token (for estimation):
                         <input id="cthr-charsPerToken" type="number" class="text_pole" min="1" max="10" step="0.5" />
                     </label>
-                    <p class="cthr-hint">Token count is estimated as: characters ÷ chars-per-token. Default 4 works well for English.</p>
+                    <p class="cthr-hint">Estimate mode counts characters ÷ chars-per-token; default 4 works well for English. Tokenizer mode is accurate for code, CJK and other languages, and falls back to the estimate if the tokenizer is unavailable.</p>
+
+                    <hr />
+
+                    <h4>Message Filtering</h4>
+                    <label class="checkbox_label">
+                        <input id="cthr-excludeHidden" type="checkbox" />
+                        <span>Exclude messages hidden from the prompt</span>
+                    </label>
+
+                    <label class="checkbox_label">
+                        <input id="cthr-excludeSystemMessages" type="checkbox" />
+                        <span>Exclude SillyTavern system messages (help, comments, ...)</span>
+                    </label>
+
+                    <label class="checkbox_label">
+                        <input id="cthr-excludeNarrator" type="checkbox" />
+                        <span>Exclude narrator messages (/sys)</span>
+                    </label>
+
+                    <label>
+                        Exclude messages matching (one regex per line):
+                        <textarea id="cthr-excludePatterns" class="text_pole" placeholder="e.g. ^\\(OOC:"></textarea>
+                    </label>
+                    <div id="cthr-exclude-errors" class="cthr-rule-errors"></div>
+                    <p class="cthr-hint">Matching messages are dropped from all history macros before skip options and the token limit apply. Patterns are case-insensitive unless written as /pattern/flags.</p>
 
                     <hr />
 
                     <h4>Regex Rules</h4>
-                    <p class="cthr-hint">These rules are applied to all history macros in order.</p>
+                    <p class="cthr-hint">Rules run in order; drag a rule by its handle to move it. Rules in a group are toggled together, and a group can be limited to specific macros (comma-separated names, empty = all macros).</p>
+                    <div id="cthr-rule-groups"></div>
+                    <button id="cthr-add-rule-group" class="menu_button">
+                        <i class="fa-solid fa-layer-group"></i> Add Group
+                    </button>
                     <div id="cthr-regex-rules"></div>
-                    <button id="cthr-add-rule" class="menu_button">
-                        <i class="fa-solid fa-plus"></i> Add Rule
+                    <label>
+                        Time Budget per Rule (ms per macro, 0 = unlimited):
+                        <input id="cthr-ruleTimeBudgetMs" type="number" class="text_pole" min="0" step="50" />
+                    </label>
+                    <p class="cthr-hint">Rules are tested on a sample of the chat before they are enabled. A rule that exceeds its time budget while building a prompt is disabled automatically and flagged on its card.</p>
+                    <div class="cthr-rule-actions">
+                        <button id="cthr-add-rule" class="menu_button">
+                            <i class="fa-solid fa-plus"></i> Add Rule
+                        </button>
+                        <button id="cthr-export-rules" class="menu_button" title="Export rules to a JSON file">
+                            <i class="fa-solid fa-file-export"></i> Export
+                        </button>
+                        <button id="cthr-import-rules" class="menu_button" title="Import rules or SillyTavern regex scripts">
+                            <i class="fa-solid fa-file-import"></i> Import
+                        </button>
+                        <select id="cthr-import-mode" class="text_pole" title="How imported rules are combined with existing ones">
+                            <option value="merge">Merge</option>
+                            <option value="replace">Replace</option>
+                        </select>
+                        <input id="cthr-import-file" type="file" accept=".json,application/json" hidden />
+                    </div>
+
+                    <hr />
+
+                    <h4>Custom Macros</h4>
+                    <p class="cthr-hint">Build your own history macros from templates. Placeholders: <code>{name}</code>, <code>{message}</code>, <code>{role}</code>, <code>{index}</code> (1-based position), <code>{depth}</code> (0 = last chat message), <code>{chatIndex}</code>, <code>{timestamp}</code>, <code>{avatar}</code>, <code>{swipe}</code>, <code>{swipes}</code>, <code>{reasoning}</code>. Use as <code>{{macroName}}</code>; regex rules and history options apply as usual.</p>
+                    <div id="cthr-custom-macros"></div>
+                    <button id="cthr-add-macro" class="menu_button">
+                        <i class="fa-solid fa-plus"></i> Add Macro
+                    </button>
+
+                    <hr />
+
+                    <h4>Preview</h4>
+                    <p class="cthr-hint">Shows a macro's output for the current chat and what each rule removed or replaced.</p>
+                    <div class="cthr-preview-controls">
+                        <select id="cthr-preview-macro" class="text_pole"></select>
+                        <input id="cthr-preview-args" type="text" class="text_pole" placeholder="Arguments (e.g. last=8::role=assistant)" />
+                        <button id="cthr-preview-refresh" class="menu_button" title="Refresh preview">
+                            <i class="fa-solid fa-rotate"></i>
+                        </button>
+                    </div>
+                    <div id="cthr-preview-stats" class="cthr-hint"></div>
+                    <div id="cthr-preview-changes"></div>
+                    <pre id="cthr-preview-output"></pre>
+
+                    <hr />
+
+                    <h4>Audit Log</h4>
+                    <p class="cthr-hint">The last ${auditLogSize} macro evaluations: replacements per rule, tokens before and after rules, and messages dropped by the token limit. Rule cards show how often each rule matched this session.</p>
+                    <label class="checkbox_label">
+                        <input id="cthr-recordAudit" type="checkbox" />
+                        <span>Record audit log (tokens are added up per message from cached counts)</span>
+                    </label>
+                    <div id="cthr-audit-log"></div>
+                    <button id="cthr-audit-clear" class="menu_button">
+                        <i class="fa-solid fa-eraser"></i> Clear
                     </button>
 
                     <hr />
@@ -355,6 +1568,9 @@ function createSettingsUI() {
                         <code>{{quoteHistoryR}}</code>
                         <code>{{lastNR::5}}</code>
                         <code>{{rawHistoryR}}</code>
+                        <code>{{jsonHistoryR}}</code>
+                        <code>{{chatmlHistoryR}}</code>
+                        <code>{{yamlHistoryR}}</code>
                         <br/>
                         <b>Available Macros — Last User Message:</b>
                         <code>{{lastUserMsgR}}</code>
@@ -391,19 +1607,6 @@ function createSettingsUI() {
         return;
     }
 
-    const config = getConfig();
-    $("#cthr-userName").val(config.userName);
-    $("#cthr-assistantName").val(config.assistantName);
-    $("#cthr-userHeader").val(config.userHeader);
-    $("#cthr-assistantHeader").val(config.assistantHeader);
-    $("#cthr-xmlUserTag").val(config.xmlUserTag);
-    $("#cthr-xmlAssistantTag").val(config.xmlAssistantTag);
-    $("#cthr-skipLastAssistant").prop("checked", config.skipLastAssistant);
-    $("#cthr-skipLastUser").prop("checked", config.skipLastUser);
-    $("#cthr-softTokenLimit").prop("checked", config.softTokenLimit);
-    $("#cthr-maxTokens").val(config.maxTokens);
-    $("#cthr-charsPerToken").val(config.charsPerToken);
-
     $("#cthr-userName").on("input", function() { saveSetting("userName", $(this).val()); });
     $("#cthr-assistantName").on("input", function() { saveSetting("assistantName", $(this).val()); });
     $("#cthr-userHeader").on("input", function() { saveSetting("userHeader", $(this).val()); });
@@ -415,137 +1618,519 @@ function createSettingsUI() {
     $("#cthr-softTokenLimit").on("change", function() { saveSetting("softTokenLimit", $(this).is(":checked")); });
     $("#cthr-maxTokens").on("input", function() { saveSetting("maxTokens", parseInt($(this).val()) || 0); });
     $("#cthr-charsPerToken").on("input", function() { saveSetting("charsPerToken", parseFloat($(this).val()) || 4); });
+    $("#cthr-tokenCounter").on("change", function() { saveSetting("tokenCounter", $(this).val()); });
+    $("#cthr-budgetStrategy").on("change", function() { saveSetting("budgetStrategy", $(this).val()); });
+    $("#cthr-pinnedMessages").on("input", function() { saveSetting("pinnedMessages", parseInt($(this).val()) || 0); });
+    $("#cthr-ruleTimeBudgetMs").on("input", function() { saveSetting("ruleTimeBudgetMs", parseInt($(this).val()) || 0); });
+    $("#cthr-elisionMarker").on("input", function() { saveSetting("elisionMarker", $(this).val()); });
+    $("#cthr-agingMode").on("change", function() { saveSetting("agingMode", $(this).val()); });
+    $("#cthr-reasoningMode").on("change", function() { saveSetting("reasoningMode", $(this).val()); });
+    $("#cthr-reasoningTemplate").on("input", function() { saveSetting("reasoningTemplate", $(this).val()); });
+    $("#cthr-swipeMode").on("change", function() { saveSetting("swipeMode", $(this).val()); });
+    $("#cthr-agingDepth").on("input", function() { saveSetting("agingDepth", parseInt($(this).val()) || 0); });
+    $("#cthr-agingHeadChars").on("input", function() { saveSetting("agingHeadChars", parseInt($(this).val()) || 0); });
+    $("#cthr-agingTailChars").on("input", function() { saveSetting("agingTailChars", parseInt($(this).val()) || 0); });
+    $("#cthr-summaryTemplate").on("input", function() { saveSetting("summaryTemplate", $(this).val()); });
+    $("#cthr-useRealNames").on("change", function() { saveSetting("useRealNames", $(this).is(":checked")); });
+    $("#cthr-contentEscaping").on("change", function() { saveSetting("contentEscaping", $(this).val()); });
+    $("#cthr-xmlSpeakerAttribute").on("change", function() { saveSetting("xmlSpeakerAttribute", $(this).is(":checked")); });
+
+    $("#cthr-recordAudit").on("change", function() { saveSetting("recordAudit", $(this).is(":checked")); });
+    $("#cthr-audit-clear").on("click", clearAuditLog);
+    $("#cthr-excludeHidden").on("change", function() { saveSetting("excludeHidden", $(this).is(":checked")); });
+    $("#cthr-excludeSystemMessages").on("change", function() { saveSetting("excludeSystemMessages", $(this).is(":checked")); });
+    $("#cthr-excludeNarrator").on("change", function() { saveSetting("excludeNarrator", $(this).is(":checked")); });
+    $("#cthr-excludePatterns").on("input", function() {
+        saveSetting("excludePatterns", $(this).val());
+        renderExcludeErrors();
+    });
+
+    $("#cthr-add-override").on("click", addSpeakerOverride);
 
     $("#cthr-add-rule").on("click", addRule);
+    $("#cthr-add-rule-group").on("click", addRuleGroup);
+    $("#cthr-regex-rules").sortable({
+        handle: ".cthr-rule-drag",
+        delay: getSortableDelay(),
+        stop: function() {
+            reorderRules($("#cthr-regex-rules .cthr-rule").map(function() { return $(this).data("id"); }).get());
+        }
+    });
+    $("#cthr-export-rules").on("click", exportRules);
+    $("#cthr-import-rules").on("click", () => $("#cthr-import-file").trigger("click"));
+    $("#cthr-import-file").on("change", async function() {
+        const file = this.files[0];
+        if (file) {
+            await importRules(file, $("#cthr-import-mode").val());
+        }
+        $(this).val('');
+    });
+
+    $("#cthr-add-macro").on("click", addCustomMacro);
+
+    renderPreviewMacroOptions();
+    renderCustomMacros();
+    renderAuditLog();
+    // Evaluations while the drawer was closed weren't rendered (see recordAudit)
+    $("#cthr-settings .inline-drawer-toggle").on("click", () => {
+        renderAuditLog();
+        renderRuleStats();
+        schedulePreviewRefresh();
+    });
+    $("#cthr-preview-macro").on("change", refreshPreview);
+    $("#cthr-preview-refresh").on("click", refreshPreview);
+
+    $("#cthr-profile").on("change", function() { switchProfile($(this).val()); });
+    $("#cthr-profile-new").on("click", createProfile);
+    $("#cthr-profile-delete").on("click", deleteProfile);
+    $("#cthr-profile-bind-character").on("click", () => toggleProfileBinding("characterProfiles", getCurrentCharacterKey()));
+    $("#cthr-profile-bind-chat").on("click", () => toggleProfileBinding("chatProfiles", getCurrentChatId()));
+
+    populateSettingsUI();
+}
 
+// Fill all settings inputs from the active profile
+function populateSettingsUI() {
+    const config = getConfig();
+    $("#cthr-userName").val(config.userName);
+    $("#cthr-assistantName").val(config.assistantName);
+    $("#cthr-userHeader").val(config.userHeader);
+    $("#cthr-assistantHeader").val(config.assistantHeader);
+    $("#cthr-xmlUserTag").val(config.xmlUserTag);
+    $("#cthr-xmlAssistantTag").val(config.xmlAssistantTag);
+    $("#cthr-skipLastAssistant").prop("checked", config.skipLastAssistant);
+    $("#cthr-skipLastUser").prop("checked", config.skipLastUser);
+    $("#cthr-softTokenLimit").prop("checked", config.softTokenLimit);
+    $("#cthr-maxTokens").val(config.maxTokens);
+    $("#cthr-charsPerToken").val(config.charsPerToken);
+    $("#cthr-tokenCounter").val(config.tokenCounter);
+    $("#cthr-budgetStrategy").val(config.budgetStrategy);
+    $("#cthr-pinnedMessages").val(config.pinnedMessages);
+    $("#cthr-elisionMarker").val(config.elisionMarker);
+    $("#cthr-ruleTimeBudgetMs").val(config.ruleTimeBudgetMs);
+    $("#cthr-agingMode").val(config.agingMode);
+    $("#cthr-reasoningMode").val(config.reasoningMode);
+    $("#cthr-reasoningTemplate").val(config.reasoningTemplate);
+    $("#cthr-swipeMode").val(config.swipeMode);
+    $("#cthr-agingDepth").val(config.agingDepth);
+    $("#cthr-agingHeadChars").val(config.agingHeadChars);
+    $("#cthr-agingTailChars").val(config.agingTailChars);
+    $("#cthr-summaryTemplate").val(config.summaryTemplate);
+    $("#cthr-useRealNames").prop("checked", config.useRealNames);
+    $("#cthr-xmlSpeakerAttribute").prop("checked", config.xmlSpeakerAttribute);
+    $("#cthr-contentEscaping").val(config.contentEscaping);
+    $("#cthr-excludeHidden").prop("checked", config.excludeHidden);
+    $("#cthr-recordAudit").prop("checked", config.recordAudit);
+    $("#cthr-excludeSystemMessages").prop("checked", config.excludeSystemMessages);
+    $("#cthr-excludeNarrator").prop("checked", config.excludeNarrator);
+    $("#cthr-excludePatterns").val(config.excludePatterns);
+    renderExcludeErrors();
+
+    renderProfiles();
+    renderSpeakerOverrides();
+    renderRuleGroups();
     renderRegexRules();
 }
 
+function renderPreviewMacroOptions() {
+    const select = $("#cthr-preview-macro");
+    const selected = select.val();
+    select.empty();
+
+    for (const name of Object.keys(macroFunctions)) {
+        select.append(`<option value="${name}">{{${name}}}</option>`);
+    }
+    if (selected && macroFunctions[selected]) {
+        select.val(selected);
+    }
+}
+
+// Render the selected macro's output, token counts and per-rule changes.
+// Only while the drawer is open; opening it refreshes the preview.
+function refreshPreview() {
+    const name = $("#cthr-preview-macro").val();
+    const fn = macroFunctions[name];
+    if (!fn || !$("#cthr-preview-output").is(":visible")) return;
+
+    const args = $("#cthr-preview-args").val();
+    let before, after, trace;
+
+    try {
+        rulesBypassed = true;
+        before = fn(args);
+        rulesBypassed = false;
+
+        ruleTrace = [];
+        after = fn(args);
+        trace = ruleTrace;
+    } finally {
+        rulesBypassed = false;
+        ruleTrace = null;
+    }
+
+    $("#cthr-preview-stats").text(`~${countTokens(before)} tokens before rules → ~${countTokens(after)} tokens after rules`);
+    $("#cthr-preview-output").text(after);
+
+    const changes = $("#cthr-preview-changes");
+    changes.empty();
+
+    for (const rule of getConfig().regexRules) {
+        if (!isRuleActive(rule, getConfig(), currentMacro)) continue;
+
+        const block = $('<details class="cthr-preview-rule"></details>');
+        if (untestedRuleIds.has(rule.id)) {
+            block.append(`<summary>${escapeHtml(rule.name)} — waiting for the sample test</summary>`);
+            changes.append(block);
+            continue;
+        }
+
+        const ruleChanges = trace.filter(t => t.ruleId === rule.id);
+        block.append(`<summary>${escapeHtml(rule.name)} — ${ruleChanges.length} change${ruleChanges.length === 1 ? '' : 's'}</summary>`);
+
+        for (const change of ruleChanges.slice(0, 50)) {
+            block.append(`<div class="cthr-preview-change">…${escapeHtml(change.before)}<del>${escapeHtml(change.removed)}</del><ins>${escapeHtml(change.inserted)}</ins>${escapeHtml(change.after)}…</div>`);
+        }
+        if (ruleChanges.length > 50) {
+            block.append(`<div class="cthr-hint">${ruleChanges.length - 50} more not shown</div>`);
+        }
+
+        changes.append(block);
+    }
+}
+
+// Refresh the preview shortly after rule edits, if a macro is selected
+function schedulePreviewRefresh() {
+    clearTimeout(previewTimeout);
+    previewTimeout = setTimeout(refreshPreview, 300);
+}
+
+function registerMacro(name, fn) {
+    const evaluate = (...args) => {
+        beginEvaluation(name);
+        // Preview runs trace or bypass rules themselves and aren't recorded
+        if (ruleTrace || rulesBypassed || !getConfig().recordAudit) {
+            return fn(...args);
+        }
+        return auditEvaluation(name, args[0], () => fn(...args));
+    };
+    macroFunctions[name] = evaluate;
+    MacrosParser.registerMacro(name, evaluate);
+}
+
+function unregisterMacro(name) {
+    delete macroFunctions[name];
+    MacrosParser.unregisterMacro(name);
+}
+
+function formatCustomMacro(id, args) {
+    const macro = getCustomMacro(id);
+    if (!macro) return '';
+
+    return renderHistory(customFormat(macro), parseHistoryArgs(args));
+}
+
+// Macro names registered by this extension itself, which custom macros may not take
+const builtinMacroNames = new Set();
+
+// Why a custom macro name can't be registered, or null if it can
+function getCustomMacroNameError(macro) {
+    if (!macro.name) return 'Enter a macro name';
+    if (!/^[A-Za-z][\w-]*$/.test(macro.name)) return 'Use letters, digits, "_" or "-", starting with a letter';
+    if (builtinMacroNames.has(macro.name)) return 'Name is used by a built-in macro';
+    if (getCustomMacros().some(m => m !== macro && m.name === macro.name)) return 'Name is used by another custom macro';
+    return null;
+}
+
+// Names currently registered for custom macros, by custom macro id
+const registeredCustomMacros = new Map();
+
+// (Re-)register a custom macro under its current name
+function registerCustomMacro(macro) {
+    unregisterCustomMacro(macro.id);
+    if (getCustomMacroNameError(macro)) return;
+
+    registerMacro(macro.name, (args) => formatCustomMacro(macro.id, args));
+    registeredCustomMacros.set(macro.id, macro.name);
+}
+
+function unregisterCustomMacro(id) {
+    const name = registeredCustomMacros.get(id);
+    if (name !== undefined) {
+        unregisterMacro(name);
+        registeredCustomMacros.delete(id);
+    }
+}
+
+function registerCustomMacros() {
+    for (const macro of getCustomMacros()) {
+        registerCustomMacro(macro);
+    }
+}
+
+// Built-in history macros by the core format they render
+const historyMacroFormats = {
+    headerHistoryR: 'header',
+    colonHistoryR: 'colon',
+    xmlHistoryR: 'xml',
+    bracketHistoryR: 'bracket',
+    numberedHistoryR: 'numbered',
+    quoteHistoryR: 'quote',
+    rawHistoryR: 'raw',
+    jsonHistoryR: 'json',
+    chatmlHistoryR: 'chatml',
+    yamlHistoryR: 'yaml'
+};
+
+const lastUserMessageMacroFormats = {
+    lastUserMsgR: 'raw',
+    lastUserMsgColonR: 'colon',
+    lastUserMsgHeaderR: 'header',
+    lastUserMsgXmlR: 'xml',
+    lastUserMsgBracketR: 'bracket'
+};
+
 function registerMacros() {
     // ===== HISTORY MACROS =====
 
-    MacrosParser.registerMacro('headerHistoryR', () => {
-        const c = getConfig();
-        const messages = getChatHistory();
-        const raw = messages.map(msg => {
-            const header = msg.is_user ? c.userHeader : c.assistantHeader;
-            return `${header}\n${msg.mes}`;
-        }).join('\n\n');
-        return applyRegexRules(raw);
-    });
-
-    MacrosParser.registerMacro('colonHistoryR', () => {
-        const c = getConfig();
-        const messages = getChatHistory();
-        const raw = messages.map(msg => {
-            const name = msg.is_user ? c.userName : c.assistantName;
-            return `${name}: ${msg.mes}`;
-        }).join('\n\n');
-        return applyRegexRules(raw);
-    });
-
-    MacrosParser.registerMacro('xmlHistoryR', () => {
-        const c = getConfig();
-        const messages = getChatHistory();
-        const raw = messages.map(msg => {
-            const tag = msg.is_user ? c.xmlUserTag : c.xmlAssistantTag;
-            return `<${tag}>\n${msg.mes}\n</${tag}>`;
-        }).join('\n\n');
-        return applyRegexRules(raw);
-    });
-
-    MacrosParser.registerMacro('bracketHistoryR', () => {
-        const c = getConfig();
-        const messages = getChatHistory();
-        const raw = messages.map(msg => {
-            const name = msg.is_user ? c.userName : c.assistantName;
-            return `[${name}]\n${msg.mes}\n[/${name}]`;
-        }).join('\n\n');
-        return applyRegexRules(raw);
-    });
-
-    MacrosParser.registerMacro('numberedHistoryR', () => {
-        const c = getConfig();
-        const messages = getChatHistory();
-        const raw = messages.map((msg, i) => {
-            const name = msg.is_user ? c.userName : c.assistantName;
-            return `${i + 1}. ${name}: ${msg.mes}`;
-        }).join('\n\n');
-        return applyRegexRules(raw);
-    });
-
-    MacrosParser.registerMacro('quoteHistoryR', () => {
-        const c = getConfig();
-        const messages = getChatHistory();
-        const raw = messages.map(msg => {
-            const name = msg.is_user ? c.userName : c.assistantName;
-            const quoted = msg.mes.split('\n').map(line => `> ${line}`).join('\n');
-            return `**${name}:**\n${quoted}`;
-        }).join('\n\n');
-        return applyRegexRules(raw);
-    });
-
-    MacrosParser.registerMacro('lastNR', (args) => {
-        const c = getConfig();
-        const n = parseInt(args) || 10;
-        const messages = getChatHistory();
-        const raw = messages.slice(-n).map(msg => {
-            const name = msg.is_user ? c.userName : c.assistantName;
-            return `${name}: ${msg.mes}`;
-        }).join('\n\n');
-        return applyRegexRules(raw);
-    });
-
-    MacrosParser.registerMacro('rawHistoryR', () => {
-        const messages = getChatHistory();
-        const raw = messages.map(msg => msg.mes).join('\n\n---\n\n');
-        return applyRegexRules(raw);
-    });
+    for (const [name, format] of Object.entries(historyMacroFormats)) {
+        registerMacro(name, (args) => renderHistory(format, parseHistoryArgs(args)));
+    }
+
+    registerMacro('lastNR', (args) => renderHistory('colon', { last: 10, ...parseHistoryArgs(args) }));
 
     // ===== LAST USER MESSAGE MACROS =====
 
-    MacrosParser.registerMacro('lastUserMsgR', () => {
-        const msg = getLastUserMessage();
-        if (!msg) return '';
-        return applyRegexRules(msg.mes);
-    });
+    for (const [name, format] of Object.entries(lastUserMessageMacroFormats)) {
+        registerMacro(name, () => formatLastUserMessage(chat, getEvaluationConfig(), format, getCoreContext()));
+    }
 
-    MacrosParser.registerMacro('lastUserMsgColonR', () => {
-        const c = getConfig();
-        const msg = getLastUserMessage();
-        if (!msg) return '';
-        const raw = `${c.userName}: ${msg.mes}`;
-        return applyRegexRules(raw);
-    });
+    for (const name of Object.keys(macroFunctions)) {
+        builtinMacroNames.add(name);
+    }
+}
 
-    MacrosParser.registerMacro('lastUserMsgHeaderR', () => {
-        const c = getConfig();
-        const msg = getLastUserMessage();
-        if (!msg) return '';
-        const raw = `${c.userHeader}\n${msg.mes}`;
-        return applyRegexRules(raw);
-    });
+// ===== SLASH COMMANDS =====
 
-    MacrosParser.registerMacro('lastUserMsgXmlR', () => {
-        const c = getConfig();
-        const msg = getLastUserMessage();
-        if (!msg) return '';
-        const raw = `<${c.xmlUserTag}>\n${msg.mes}\n</${c.xmlUserTag}>`;
-        return applyRegexRules(raw);
-    });
+function getRulesByName(name) {
+    const wanted = String(name ?? '').trim().toLowerCase();
+    return getConfig().regexRules.filter(rule => rule.name.trim().toLowerCase() === wanted);
+}
 
-    MacrosParser.registerMacro('lastUserMsgBracketR', () => {
-        const c = getConfig();
-        const msg = getLastUserMessage();
-        if (!msg) return '';
-        const raw = `[${c.userName}]\n${msg.mes}\n[/${c.userName}]`;
-        return applyRegexRules(raw);
-    });
+const ruleNameEnumProvider = () => getConfig().regexRules.map(rule =>
+    new SlashCommandEnumValue(rule.name, rule.enabled ? 'enabled' : 'disabled'));
+
+const macroNameEnumProvider = () => Object.keys(macroFunctions).map(name => new SlashCommandEnumValue(name));
+
+async function setRuleEnabledCommand(args, name) {
+    const rules = getRulesByName(name);
+    if (rules.length === 0) {
+        toastr.warning(`No regex rule named "${name}"`, 'Customizable Text History');
+        return '';
+    }
+
+    const state = String(args.state ?? 'toggle').toLowerCase();
+    for (const rule of rules) {
+        const enable = state === 'toggle' ? !rule.enabled : ['on', 'true', '1'].includes(state);
+        if (enable && !rule.enabled) {
+            await enableRule(rule);
+        } else if (!enable && rule.enabled) {
+            rule.enabled = false;
+            saveAllSettings();
+        }
+    }
+
+    renderRegexRules();
+    schedulePreviewRefresh();
+    return String(rules.every(rule => rule.enabled));
+}
+
+function setGroupEnabledCommand(args, name) {
+    const wanted = String(name ?? '').trim().toLowerCase();
+    const group = getConfig().ruleGroups.find(g => g.name.trim().toLowerCase() === wanted);
+    if (!group) {
+        toastr.warning(`No rule group named "${name}"`, 'Customizable Text History');
+        return '';
+    }
+
+    const state = String(args.state ?? 'toggle').toLowerCase();
+    updateRuleGroup(group.id, "enabled", state === 'toggle' ? !group.enabled : ['on', 'true', '1'].includes(state));
+    renderRuleGroups();
+    return String(group.enabled);
+}
+
+function listRulesCommand() {
+    return JSON.stringify(getConfig().regexRules.map(rule => ({
+        name: rule.name,
+        enabled: rule.enabled,
+        group: getRuleGroup(rule.groupId)?.name ?? '',
+        target: rule.target,
+        mode: rule.mode
+    })));
 }
 
+function maxTokensCommand(_args, value) {
+    const trimmed = String(value ?? '').trim();
+    if (trimmed !== '') {
+        const maxTokens = parseInt(trimmed);
+        if (isNaN(maxTokens) || maxTokens < 0) {
+            toastr.warning(`Invalid token limit: ${trimmed}`, 'Customizable Text History');
+            return '';
+        }
+        saveSetting("maxTokens", maxTokens);
+        $("#cthr-maxTokens").val(maxTokens);
+        schedulePreviewRefresh();
+    }
+    return String(getConfig().maxTokens);
+}
+
+// Macro arguments for /cthr-history. They belong in args="...", but the parser reads any
+// leading key=value word as a named argument, so unknown named arguments (other than the
+// parser's own "_" ones) are folded back in rather than silently dropped.
+function getHistoryCommandArgs(args, value) {
+    const folded = Object.entries(args)
+        .filter(([key]) => key !== 'macro' && key !== 'args' && !key.startsWith('_'))
+        .map(([key, val]) => `${key}=${val}`);
+
+    return [args.args, value, ...folded]
+        .map(part => String(part ?? '').trim())
+        .filter(Boolean)
+        .join('::');
+}
+
+function historyCommand(args, value) {
+    const fn = macroFunctions[args.macro];
+    if (!fn) {
+        toastr.warning(`Unknown history macro: ${args.macro}`, 'Customizable Text History');
+        return '';
+    }
+    return fn(getHistoryCommandArgs(args, value));
+}
+
+function registerSlashCommands() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cthr-rule',
+        callback: setRuleEnabledCommand,
+        returns: 'true if the rule is enabled afterwards, false otherwise',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'state',
+                description: 'on, off or toggle',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'toggle',
+                enumList: ['on', 'off', 'toggle']
+            })
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'rule name',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+                enumProvider: ruleNameEnumProvider
+            })
+        ],
+        helpString: 'Enable, disable or toggle a history regex rule by name. Rules are tested on a sample before being enabled. Example: <code>/cthr-rule state=off World State</code>'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cthr-group',
+        callback: setGroupEnabledCommand,
+        returns: 'true if the group is enabled afterwards, false otherwise',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'state',
+                description: 'on, off or toggle',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'toggle',
+                enumList: ['on', 'off', 'toggle']
+            })
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'group name',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+                enumProvider: () => getConfig().ruleGroups.map(group => new SlashCommandEnumValue(group.name, group.enabled ? 'enabled' : 'disabled'))
+            })
+        ],
+        helpString: 'Enable, disable or toggle all rules of a rule group at once. Example: <code>/cthr-group state=off OOC</code>'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cthr-rules',
+        callback: listRulesCommand,
+        returns: 'JSON array of rules with name, enabled, group, target and mode',
+        helpString: 'List the history regex rules of the active profile.'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cthr-maxtokens',
+        callback: maxTokensCommand,
+        returns: 'the current token limit',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'new token limit (0 = unlimited); omit to read the current limit',
+                typeList: [ARGUMENT_TYPE.NUMBER]
+            })
+        ],
+        helpString: 'Set or read the history token limit of the active profile. Example: <code>/cthr-maxtokens 2000</code>'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cthr-history',
+        callback: historyCommand,
+        returns: 'the macro output',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'macro',
+                description: 'history macro name',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+                enumProvider: macroNameEnumProvider
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'args',
+                description: 'macro arguments, as in the macro itself',
+                typeList: [ARGUMENT_TYPE.STRING]
+            })
+        ],
+        helpString: 'Return the output of a history macro (built-in or custom). Example: <code>/cthr-history macro=xmlHistoryR args="last=8::role=assistant" | /echo</code>'
+    }));
+}
+
+// ===== PUBLIC API =====
+
+// Exposed to other extensions as globalThis.customizableTextHistory:
+//   version                       - API version, bumped on incompatible changes
+//   renderHistory(format, opts)   - format the current chat with the active profile; format is a
+//                                   core.historyFormats name, opts as core.parseHistoryArgs returns them
+//   evaluateMacro(name, args)     - output of any registered history macro, including custom ones
+//   getConfig()                   - copy of the active profile
+//   core                          - the headless pipeline (core.js) for any messages and config
+// For example:
+//   const { renderHistory, core } = globalThis.customizableTextHistory;
+//   renderHistory('xml', { last: 8, maxTokens: 1500 });
+//   core.formatHistory(messages, core.createConfig({ maxTokens: 500 }), 'colon');
+const publicApi = Object.freeze({
+    version: 1,
+    renderHistory: (format, options = {}) => formatHistory(chat, getEvaluationConfig(), format, options, { ...getCoreContext(), macro: null }),
+    evaluateMacro: (name, args = '') => {
+        const fn = macroFunctions[name];
+        if (!fn) {
+            throw new Error(`Unknown history macro: ${name}`);
+        }
+        return fn(String(args));
+    },
+    getConfig: () => structuredClone(getConfig()),
+    core
+});
+
 jQuery(async () => {
     loadSettings();
-    createSettingsUI();
     registerMacros();
+    registerCustomMacros();
+    registerSlashCommands();
+    createSettingsUI();
+    eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
+    globalThis.customizableTextHistory = publicApi;
     console.log('[Customizable Text History with Regexes] Extension loaded!');
 });
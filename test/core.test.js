@@ -0,0 +1,469 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createConfig, createCaches, estimateTokens, parseHistoryArgs, historyFormats, customFormat,
+    formatHistory, formatLastUserMessage, getChatHistory, applyRegexRules, hasNestedQuantifier
+} from '../core.js';
+import { tutoringChat, filteredChat, numberedChat, worldStateChat, swipeChat } from './fixtures.js';
+
+// Config that keeps the whole chat, so format tests see every message
+const fullConfig = createConfig({ skipLastAssistant: false });
+
+// One character per token keeps budget arithmetic readable
+const budgetConfig = settings => createConfig({ skipLastAssistant: false, charsPerToken: 1, ...settings });
+
+// Output rule removing every [WS]...[/WS] block, with extra fields merged in
+const worldStateRule = fields => ({ id: 'ws', name: 'World State', findRegex: '\\s*\\[WS\\].*?\\[/WS\\]', ...fields });
+
+describe('history formats', () => {
+    const lastTwo = format => formatHistory(tutoringChat, fullConfig, format, { last: 2 });
+
+    it('header', () => {
+        assert.equal(lastTwo('header'), "## Student's Turn\nFractions, please.\n\n## Teacher's Turn\nGreat choice.\nLet us begin.");
+    });
+
+    it('colon', () => {
+        assert.equal(lastTwo('colon'), 'Student: Fractions, please.\n\nTeacher: Great choice.\nLet us begin.');
+    });
+
+    it('xml', () => {
+        assert.equal(lastTwo('xml'), '<student>\nFractions, please.\n</student>\n\n<teacher>\nGreat choice.\nLet us begin.\n</teacher>');
+    });
+
+    it('bracket', () => {
+        assert.equal(lastTwo('bracket'), '[Student]\nFractions, please.\n[/Student]\n\n[Teacher]\nGreat choice.\nLet us begin.\n[/Teacher]');
+    });
+
+    it('numbered', () => {
+        assert.equal(lastTwo('numbered'), '1. Student: Fractions, please.\n\n2. Teacher: Great choice.\nLet us begin.');
+    });
+
+    it('quote', () => {
+        assert.equal(lastTwo('quote'), '**Student:**\n> Fractions, please.\n\n**Teacher:**\n> Great choice.\n> Let us begin.');
+    });
+
+    it('raw', () => {
+        assert.equal(lastTwo('raw'), 'Fractions, please.\n\n---\n\nGreat choice.\nLet us begin.');
+    });
+
+    it('json', () => {
+        assert.deepEqual(JSON.parse(lastTwo('json')), [
+            { role: 'user', name: 'Student', content: 'Fractions, please.' },
+            { role: 'assistant', name: 'Teacher', content: 'Great choice.\nLet us begin.' }
+        ]);
+    });
+
+    it('chatml', () => {
+        assert.equal(lastTwo('chatml'), '<|im_start|>user name=Student\nFractions, please.<|im_end|>\n<|im_start|>assistant name=Teacher\nGreat choice.\nLet us begin.<|im_end|>');
+    });
+
+    it('yaml', () => {
+        assert.equal(lastTwo('yaml'), [
+            '- role: user',
+            '  name: "Student"',
+            '  content: |-',
+            '    Fractions, please.',
+            '- role: assistant',
+            '  name: "Teacher"',
+            '  content: |-',
+            '    Great choice.',
+            '    Let us begin.'
+        ].join('\n'));
+    });
+
+    it('covers every built-in format', () => {
+        assert.deepEqual(Object.keys(historyFormats).sort(),
+            ['bracket', 'chatml', 'colon', 'header', 'json', 'numbered', 'quote', 'raw', 'xml', 'yaml']);
+    });
+
+    it('emits the empty value of structured formats when nothing is selected', () => {
+        assert.equal(formatHistory(tutoringChat, fullConfig, 'json', { last: 0 }), '[]');
+        assert.equal(formatHistory(tutoringChat, fullConfig, 'yaml', { last: 0 }), '[]');
+        assert.equal(formatHistory(tutoringChat, fullConfig, 'colon', { last: 0 }), '');
+        assert.equal(formatHistory([], fullConfig, 'xml'), '');
+    });
+
+    it('rejects unknown format names', () => {
+        assert.throws(() => formatHistory(tutoringChat, fullConfig, 'markdown'), /Unknown history format: markdown/);
+    });
+
+    it('uses real speaker names and speaker overrides', () => {
+        const config = createConfig({
+            skipLastAssistant: false,
+            useRealNames: true,
+            speakerOverrides: [{ speaker: 'Tutor', name: 'Ms. T', header: '', xmlTag: 'tutor' }]
+        });
+        assert.equal(formatHistory(tutoringChat, config, 'xml', { last: 2 }), '<student>\nFractions, please.\n</student>\n\n<tutor>\nGreat choice.\nLet us begin.\n</tutor>');
+        assert.equal(formatHistory(tutoringChat, config, 'colon', { last: 2 }), 'Alice: Fractions, please.\n\nMs. T: Great choice.\nLet us begin.');
+    });
+
+    it('names user messages without a name after the context user', () => {
+        const chat = [{ is_user: true, mes: 'hi' }];
+        const config = createConfig({ useRealNames: true });
+        assert.equal(formatHistory(chat, config, 'colon', {}, { userName: 'Persona' }), 'Persona: hi');
+    });
+
+    it('escapes message text in xml when configured', () => {
+        const chat = [{ is_user: true, mes: 'a </student> & b' }];
+        const config = createConfig({ contentEscaping: 'escape' });
+        assert.equal(formatHistory(chat, config, 'xml'), '<student>\na &lt;/student&gt; &amp; b\n</student>');
+    });
+
+    it('formats custom template macros', () => {
+        const format = customFormat({
+            userTemplate: '{index}/{chatIndex} {role} {name}: {message}',
+            assistantTemplate: '{index}/{chatIndex} {role} {name} @ {timestamp}: {message}',
+            separator: ' | ',
+            prefix: '<',
+            suffix: '>'
+        });
+        assert.equal(formatHistory(tutoringChat, fullConfig, format, { last: 2 }),
+            '<1/2 user Student: Fractions, please. | 2/3 assistant Teacher @ Jan 1, 2025 10:03am: Great choice.\nLet us begin.>');
+    });
+});
+
+describe('last user message', () => {
+    it('formats only the last user message', () => {
+        assert.equal(formatLastUserMessage(tutoringChat, fullConfig), 'Fractions, please.');
+        assert.equal(formatLastUserMessage(tutoringChat, fullConfig, 'colon'), 'Student: Fractions, please.');
+        assert.equal(formatLastUserMessage(tutoringChat, fullConfig, 'xml'), '<student>\nFractions, please.\n</student>');
+    });
+
+    it('returns an empty string without user messages', () => {
+        assert.equal(formatLastUserMessage([], fullConfig, 'colon'), '');
+        assert.equal(formatLastUserMessage(tutoringChat.filter(msg => !msg.is_user), fullConfig, 'colon'), '');
+    });
+
+    it('skips excluded user messages', () => {
+        const config = createConfig({ excludePatterns: 'OOC' });
+        assert.equal(formatLastUserMessage(filteredChat, config), 'Start');
+    });
+});
+
+describe('skip logic and filtering', () => {
+    it('skips the last assistant message by default', () => {
+        assert.equal(formatHistory(tutoringChat, createConfig(), 'colon'),
+            'Student: Hello there\n\nTeacher: Hi! What shall we study?\n\nStudent: Fractions, please.');
+    });
+
+    it('skips the last user message when enabled', () => {
+        assert.equal(formatHistory(tutoringChat, createConfig({ skipLastUser: true }), 'colon'),
+            'Student: Hello there\n\nTeacher: Hi! What shall we study?');
+        assert.equal(formatHistory(tutoringChat, fullConfig, 'colon', { skipLastUser: true }),
+            'Student: Hello there\n\nTeacher: Hi! What shall we study?\n\nTeacher: Great choice.\nLet us begin.');
+    });
+
+    it('only skips the last assistant message when the chat ends with one', () => {
+        assert.equal(formatHistory(filteredChat, createConfig(), 'raw'),
+            'Start\n\n---\n\nThe bell rings.\n\n---\n\nVisible reply\n\n---\n\n(OOC: brb) Back');
+    });
+
+    it('filters messages before the skip logic sees them', () => {
+        const chat = [...tutoringChat, { name: 'Tutor', is_user: false, is_system: true, mes: 'Hidden' }];
+        assert.equal(formatHistory(chat, createConfig(), 'raw', { last: 1 }), 'Fractions, please.');
+    });
+
+    it('excludes hidden, system, narrator and pattern-matched messages as configured', () => {
+        assert.equal(formatHistory(filteredChat, createConfig({ excludeHidden: false }), 'raw'),
+            'Start\n\n---\n\nHidden reply\n\n---\n\nThe bell rings.\n\n---\n\nVisible reply\n\n---\n\n(OOC: brb) Back');
+        assert.equal(formatHistory(filteredChat, createConfig({ skipLastAssistant: false, excludeNarrator: true, excludePatterns: 'ooc:' }), 'raw'),
+            'Start\n\n---\n\nVisible reply');
+        assert.equal(formatHistory(filteredChat, createConfig({ excludeSystemMessages: false }), 'raw', { last: 2 }),
+            'Visible reply\n\n---\n\n(OOC: brb) Back');
+        assert.match(formatHistory(filteredChat, createConfig({ excludeSystemMessages: false }), 'raw'), /^Welcome!/);
+    });
+
+    it('selects by chat index range and role', () => {
+        const chat = numberedChat(6);
+        assert.equal(formatHistory(chat, fullConfig, 'raw', { from: 1, to: 3 }), 'm1\n\n---\n\nm2\n\n---\n\nm3');
+        assert.equal(formatHistory(chat, fullConfig, 'raw', { from: -2 }), 'm4\n\n---\n\nm5');
+        assert.equal(formatHistory(chat, fullConfig, 'raw', { role: 'assistant', last: 2 }), 'm3\n\n---\n\nm5');
+    });
+
+    it('returns processed copies with their depth', () => {
+        const messages = getChatHistory(tutoringChat, createConfig());
+        assert.deepEqual(messages.map(msg => [msg.mes, msg.depth]), [['Hello there', 3], ['Hi! What shall we study?', 2], ['Fractions, please.', 1]]);
+        assert.notEqual(messages[0], tutoringChat[0]);
+    });
+});
+
+describe('token limits', () => {
+    const chat = numberedChat(6);
+
+    it('is unlimited at 0', () => {
+        assert.equal(formatHistory(chat, budgetConfig({ maxTokens: 0 }), 'raw').split('---').length, 6);
+    });
+
+    it('hard limit stops before the message that would exceed it', () => {
+        // m5 (2) + separator (7) + m4 (2) = 11; m3 would make 20
+        assert.equal(formatHistory(chat, budgetConfig({ maxTokens: 12 }), 'raw'), 'm4\n\n---\n\nm5');
+        assert.equal(formatHistory(chat, budgetConfig({ maxTokens: 11 }), 'raw'), 'm4\n\n---\n\nm5');
+        assert.equal(formatHistory(chat, budgetConfig({ maxTokens: 10 }), 'raw'), 'm5');
+    });
+
+    it('soft limit includes the message that crosses it', () => {
+        assert.equal(formatHistory(chat, budgetConfig({ maxTokens: 12, softTokenLimit: true }), 'raw'), 'm3\n\n---\n\nm4\n\n---\n\nm5');
+        assert.equal(formatHistory(chat, budgetConfig({ maxTokens: 11, softTokenLimit: true }), 'raw'), 'm4\n\n---\n\nm5');
+    });
+
+    it('takes the limit from options', () => {
+        assert.equal(formatHistory(chat, budgetConfig(), 'raw', { maxTokens: 12, softTokenLimit: true }), 'm3\n\n---\n\nm4\n\n---\n\nm5');
+    });
+
+    it('counts wrappers and elision markers', () => {
+        // Without the marker m3-m5 fit; reserving "[3 cut]" plus a separator (14) leaves m4 and m5
+        const config = budgetConfig({ maxTokens: 25, elisionMarker: '[{count} cut]' });
+        assert.equal(formatHistory(chat, config, 'raw'), '[4 cut]\n\n---\n\nm4\n\n---\n\nm5');
+
+        const json = JSON.parse(formatHistory(chat, budgetConfig({ maxTokens: 100 }), 'json'));
+        assert.deepEqual(json.map(entry => entry.content), ['m5']);
+    });
+
+    it('keeps a history that fits exactly when an elision marker is configured', () => {
+        // 6 messages of 2 tokens and 5 separators of 7 tokens
+        const config = budgetConfig({ maxTokens: 47, elisionMarker: '[{count} omitted]' });
+        assert.equal(formatHistory(chat, config, 'raw'), formatHistory(chat, budgetConfig(), 'raw'));
+        assert.equal(formatHistory(chat, { ...config, maxTokens: 46 }, 'raw'), '[3 omitted]\n\n---\n\nm3\n\n---\n\nm4\n\n---\n\nm5');
+    });
+
+    it('stays within the limit when cutting more lengthens the elision marker', () => {
+        // Reserving "[9 cut]" cuts a tenth message, and "[10 cut]" is a token longer
+        for (const budgetStrategy of ['recent', 'pinFirst', 'firstLast']) {
+            const config = budgetConfig({ maxTokens: 207, elisionMarker: '[{count} cut]', budgetStrategy });
+            assert.ok(formatHistory(numberedChat(30), config, 'raw').length <= 207, budgetStrategy);
+        }
+        assert.match(formatHistory(numberedChat(30), budgetConfig({ maxTokens: 207, elisionMarker: '[{count} cut]' }), 'raw'), /^\[11 cut\]/);
+    });
+
+    it('applies budget strategies', () => {
+        assert.equal(formatHistory(chat, budgetConfig({ maxTokens: 29, budgetStrategy: 'pinFirst', pinnedMessages: 1 }), 'raw'),
+            'm0\n\n---\n\nm3\n\n---\n\nm4\n\n---\n\nm5');
+        assert.equal(formatHistory(chat, budgetConfig({ maxTokens: 29, budgetStrategy: 'firstLast' }), 'raw'),
+            'm0\n\n---\n\nm1\n\n---\n\nm4\n\n---\n\nm5');
+    });
+
+    it('skips a pinned message that does not fit and keeps packing recent ones', () => {
+        const longOpening = [{ ...chat[0], mes: 'x'.repeat(100) }, ...chat.slice(1)];
+        assert.equal(formatHistory(longOpening, budgetConfig({ maxTokens: 30, budgetStrategy: 'pinFirst', pinnedMessages: 1 }), 'raw'),
+            'm2\n\n---\n\nm3\n\n---\n\nm4\n\n---\n\nm5');
+    });
+
+    it('measures messages after output rules', () => {
+        const padded = chat.map(msg => ({ ...msg, mes: `${msg.mes}xxxxxxxx` }));
+        const rule = { id: 'x', name: 'Padding', findRegex: 'x+' };
+        assert.equal(formatHistory(padded, budgetConfig({ maxTokens: 12 }), 'raw'), 'm5xxxxxxxx');
+        assert.equal(formatHistory(padded, budgetConfig({ maxTokens: 12, regexRules: [rule] }), 'raw'), 'm4\n\n---\n\nm5');
+    });
+
+    it('uses the context tokenizer in tokenizer mode', () => {
+        const countTokens = text => text.split(/\s+/).filter(Boolean).length;
+        const config = createConfig({ skipLastAssistant: false, maxTokens: 3, tokenCounter: 'tokenizer' });
+        assert.equal(formatHistory(chat, config, 'raw', {}, { countTokens }), 'm4\n\n---\n\nm5');
+        assert.equal(formatHistory(chat, config, 'raw'), 'm5');
+    });
+
+    it('falls back to the estimate when the tokenizer fails', t => {
+        t.mock.method(console, 'warn', () => {});
+        const config = createConfig({ tokenCounter: 'tokenizer', charsPerToken: 4 });
+        assert.equal(estimateTokens('12345678', config, () => { throw new Error('offline'); }), 2);
+        assert.equal(estimateTokens('12345678', config, () => 7), 7);
+        assert.equal(estimateTokens('12345678', createConfig({ charsPerToken: 3 }), () => 7), 3);
+    });
+
+    it('reports dropped messages to the audit', () => {
+        const audit = { dropped: 0, tokensBefore: 0, tokensAfter: 0 };
+        formatHistory(chat, budgetConfig({ maxTokens: 12 }), 'raw', {}, { audit });
+        assert.equal(audit.dropped, 4);
+    });
+});
+
+describe('regex rules', () => {
+    it('runs output rules on the formatted text', () => {
+        const config = createConfig({ regexRules: [{ id: 'ooc', name: 'OOC', findRegex: '\\(OOC:.*?\\)\\s*' }] });
+        assert.equal(formatLastUserMessage(filteredChat, config, 'colon'), 'Student: Back');
+        assert.equal(formatHistory(filteredChat, config, 'colon', { last: 1 }), 'Student: Back');
+        assert.equal(applyRegexRules('x (OOC: y) z', config), 'x z');
+    });
+
+    it('flags nested quantifiers up to one group deep', () => {
+        for (const pattern of ['(a+)+', '(\\w+\\s?)*$', '(x+){2,}', '((ab)*)+', '(a(b+)c)*']) {
+            assert.ok(hasNestedQuantifier(pattern), pattern);
+        }
+        for (const pattern of ['(ab)+', '(a)(b)+', '((ab))+', '\\(a+\\)+', '(a{2})+']) {
+            assert.ok(!hasNestedQuantifier(pattern), pattern);
+        }
+    });
+
+    it('runs output rules on message content before serializing structured formats', () => {
+        const config = createConfig({
+            skipLastAssistant: false,
+            contentEscaping: 'escape',
+            regexRules: [{ id: 'q', name: 'Quote', findRegex: 'please', replaceWith: 'say "no"\n</student>\n' }]
+        });
+        const json = JSON.parse(formatHistory(tutoringChat, config, 'json', { last: 2 }));
+        assert.equal(json[0].content, 'Fractions, say "no"\n</student>\n.');
+
+        assert.equal(formatHistory(tutoringChat, config, 'yaml', { last: 2 }).split('\n').slice(2, 7).join('\n'),
+            '  content: |-\n    Fractions, say "no"\n    </student>\n    .\n- role: assistant');
+        assert.equal(formatHistory(tutoringChat, config, 'xml', { last: 2 }).split('\n\n')[0],
+            '<student>\nFractions, say "no"\n&lt;/student&gt;\n.\n</student>');
+        assert.equal(formatLastUserMessage(tutoringChat, config, 'json'), `  ${JSON.stringify(json[0])}`);
+    });
+
+    it('scopes per-message rules by role and depth', () => {
+        const config = createConfig({
+            skipLastAssistant: false,
+            regexRules: [worldStateRule({ target: 'message', roles: ['assistant'], minDepth: 2 })]
+        });
+        assert.equal(formatHistory(worldStateChat, config, 'raw'),
+            'Look around\n\n---\n\nA forest.\n\n---\n\nWalk north\n\n---\n\nA river.\n\n---\n\nSwim\n\n---\n\nYou are wet. [WS]day 3[/WS]');
+    });
+
+    it('keeps only the newest occurrences with keep-last rules', () => {
+        const config = createConfig({
+            skipLastAssistant: false,
+            regexRules: [{ id: 'ws', name: 'World State', findRegex: '\\[WS\\].*?\\[/WS\\]', replaceWith: '[WS omitted]', mode: 'keepLast', keepCount: 1 }]
+        });
+        assert.equal(formatHistory(worldStateChat, config, 'raw', { role: 'assistant' }),
+            'A forest. [WS omitted]\n\n---\n\nA river. [WS omitted]\n\n---\n\nYou are wet. [WS]day 3[/WS]');
+
+        // Counted after the skip logic, so the newest emitted block survives
+        const skipping = { ...config, skipLastAssistant: true };
+        assert.equal(formatHistory(worldStateChat, skipping, 'raw', { role: 'assistant', last: 1 }), 'A river. [WS]day 2[/WS]');
+    });
+
+    it('keeps only the latest assistant message\'s matches', () => {
+        const config = createConfig({
+            skipLastAssistant: false,
+            regexRules: [worldStateRule({ mode: 'keepLatestAssistant' })]
+        });
+        assert.equal(formatHistory(worldStateChat, config, 'raw', { role: 'assistant' }),
+            'A forest.\n\n---\n\nA river.\n\n---\n\nYou are wet. [WS]day 3[/WS]');
+    });
+
+    it('applies replacements, trim patterns and literal flags', () => {
+        const config = createConfig({
+            skipLastAssistant: false,
+            regexRules: [{ id: 'f', name: 'Forest', findRegex: '/a FOREST/i', replaceWith: 'Woods ($&)', trimOut: '\\s*\\[WS\\].*?\\[/WS\\]\n\\.' }]
+        });
+        assert.equal(formatHistory(worldStateChat, config, 'raw', { role: 'assistant', last: 2 }),
+            'A river\n\n---\n\nYou are wet');
+        assert.equal(formatHistory(worldStateChat, config, 'raw', { role: 'assistant', last: 3 }).split('\n')[0], 'Woods (A forest)');
+    });
+
+    it('skips disabled and invalid rules', t => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const config = createConfig({
+            skipLastAssistant: false,
+            regexRules: [
+                { id: 'off', name: 'Off', enabled: false, findRegex: 'Swim', replaceWith: 'Dive' },
+                { id: 'bad', name: 'Bad', findRegex: 'bad(' },
+                { id: 'ok', name: 'Ok', findRegex: 'Look', replaceWith: 'Peek' }
+            ]
+        });
+        assert.equal(formatHistory(worldStateChat, config, 'raw', { role: 'user' }), 'Peek around\n\n---\n\nWalk north\n\n---\n\nSwim');
+        assert.ok(warn.mock.callCount() > 0);
+    });
+
+    it('runs grouped rules only for their macros and while the group is enabled', () => {
+        const settings = {
+            regexRules: [{ id: 'ooc', name: 'OOC', findRegex: '\\(OOC:.*?\\)\\s*', groupId: 'g' }],
+            ruleGroups: [{ id: 'g', name: 'XML only', enabled: true, macros: ['xmlHistoryR'] }]
+        };
+        const config = createConfig(settings);
+        assert.equal(formatLastUserMessage(filteredChat, config, 'raw', { macro: 'xmlHistoryR' }), 'Back');
+        assert.equal(formatLastUserMessage(filteredChat, config, 'raw', { macro: 'colonHistoryR' }), '(OOC: brb) Back');
+        assert.equal(formatLastUserMessage(filteredChat, config, 'raw'), 'Back');
+
+        const disabled = createConfig({ ...settings, ruleGroups: [{ ...settings.ruleGroups[0], enabled: false }] });
+        assert.equal(formatLastUserMessage(filteredChat, disabled, 'raw', { macro: 'xmlHistoryR' }), '(OOC: brb) Back');
+    });
+
+    it('reports matches, traces, timing and bypass through the context', () => {
+        const config = createConfig({ skipLastAssistant: false, regexRules: [worldStateRule({ target: 'message' })] });
+
+        const matchCounts = new Map();
+        const trace = [];
+        const timed = [];
+        const output = formatHistory(worldStateChat, config, 'raw', { last: 3 }, { matchCounts, trace, onRuleTime: rule => timed.push(rule.id) });
+
+        assert.equal(output, 'A river.\n\n---\n\nSwim\n\n---\n\nYou are wet.');
+        // Only emitted messages count and are traced, although every message was processed
+        assert.equal(matchCounts.get('ws'), 2);
+        assert.equal(trace.length, 2);
+        assert.equal(trace[0].removed, ' [WS]day 2[/WS]');
+
+        const keepLast = createConfig({ skipLastAssistant: false, regexRules: [worldStateRule({ mode: 'keepLast', keepCount: 0 })] });
+        const keepLastTrace = [];
+        formatHistory(worldStateChat, keepLast, 'raw', { last: 1 }, { trace: keepLastTrace });
+        assert.deepEqual(keepLastTrace.map(t => t.removed), [' [WS]day 3[/WS]']);
+        assert.ok(timed.includes('ws'));
+
+        assert.equal(formatHistory(worldStateChat, config, 'raw', { last: 1 }, { bypassRules: true }), 'You are wet. [WS]day 3[/WS]');
+    });
+
+    it('reports tokens before and after rules to the audit', () => {
+        const config = createConfig({
+            skipLastAssistant: false,
+            charsPerToken: 1,
+            regexRules: [worldStateRule({ target: 'message' }), { id: 'o', name: 'Swim', findRegex: 'Swim', replaceWith: 'Dive in' }]
+        });
+        const audit = { dropped: 0, tokensBefore: 0, tokensAfter: 0 };
+        const output = formatHistory(worldStateChat, config, 'raw', { last: 3 }, { audit });
+        const before = formatHistory(worldStateChat, config, 'raw', { last: 3 }, { bypassRules: true });
+
+        assert.equal(audit.tokensBefore, before.length);
+        assert.equal(audit.tokensAfter, output.length);
+
+        const lastUser = { dropped: 0, tokensBefore: 0, tokensAfter: 0 };
+        assert.equal(formatLastUserMessage(worldStateChat, config, 'colon', { audit: lastUser }), 'Student: Dive in');
+        assert.deepEqual([lastUser.tokensBefore, lastUser.tokensAfter], ['Student: Swim'.length, 'Student: Dive in'.length]);
+    });
+
+    it('gives the same output with caches', () => {
+        const config = createConfig({ maxTokens: 30, charsPerToken: 1, regexRules: [worldStateRule({ target: 'message' })] });
+        const cache = createCaches();
+        const expected = formatHistory(worldStateChat, config, 'colon');
+        assert.equal(formatHistory(worldStateChat, config, 'colon', {}, { cache }), expected);
+        assert.equal(formatHistory(worldStateChat, config, 'colon', {}, { cache }), expected);
+    });
+});
+
+describe('reasoning and swipes', () => {
+    it('uses the selected swipe and strips reasoning by default', () => {
+        assert.equal(formatHistory(swipeChat, fullConfig, 'raw'), 'Question?\n\n---\n\nSecond answer\n\n---\n\nAnother?\n\n---\n\nLatest');
+    });
+
+    it('uses original swipes for past assistant turns', () => {
+        assert.equal(formatHistory(swipeChat, fullConfig, 'raw', { swipeMode: 'original', role: 'assistant' }), 'First answer\n\n---\n\nLatest');
+    });
+
+    it('includes stored reasoning through the template', () => {
+        assert.equal(formatHistory(swipeChat, fullConfig, 'raw', { reasoningMode: 'include', last: 3, role: 'assistant' }),
+            '<thinking>\nsecond thoughts\n</thinking>\nSecond answer\n\n---\n\nLatest');
+        assert.equal(formatHistory(swipeChat, fullConfig, 'raw', { reasoningMode: 'include', swipeMode: 'original', role: 'assistant', last: 1 }), 'Latest');
+    });
+});
+
+describe('configuration', () => {
+    it('parses macro arguments', t => {
+        t.mock.method(console, 'warn', () => {});
+        assert.deepEqual(parseHistoryArgs('5'), { last: 5 });
+        assert.deepEqual(parseHistoryArgs('last=8::ROLE=assistant::maxTokens=1500::softTokenLimit=yes'),
+            { last: 8, role: 'assistant', maxTokens: 1500, softTokenLimit: true });
+        assert.deepEqual(parseHistoryArgs(['from=-3', 'to=-1', 'budgetStrategy=pinFirst']), { from: -3, to: -1, budgetStrategy: 'pinFirst' });
+        assert.deepEqual(parseHistoryArgs('role=narrator::bogus=1::last=-2::plain'), {});
+        assert.deepEqual(parseHistoryArgs(undefined), {});
+    });
+
+    it('fills defaults without touching the given settings', () => {
+        const settings = { maxTokens: 100, regexRules: [{ id: 'r', findRegex: 'a' }] };
+        const config = createConfig(settings);
+
+        assert.equal(config.maxTokens, 100);
+        assert.equal(config.userName, 'Student');
+        assert.equal(config.regexRules[0].target, 'output');
+        assert.deepEqual(config.regexRules[0].roles, ['user', 'assistant', 'system']);
+        assert.deepEqual(settings, { maxTokens: 100, regexRules: [{ id: 'r', findRegex: 'a' }] });
+    });
+});
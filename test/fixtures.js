@@ -0,0 +1,51 @@
+// Fixture chats in SillyTavern's message shape
+
+// A plain two-speaker chat ending with an assistant reply
+export const tutoringChat = [
+    { name: 'Alice', is_user: true, mes: 'Hello there', send_date: 'Jan 1, 2025 10:00am' },
+    { name: 'Tutor', is_user: false, mes: 'Hi! What shall we study?', send_date: 'Jan 1, 2025 10:01am' },
+    { name: 'Alice', is_user: true, mes: 'Fractions, please.', send_date: 'Jan 1, 2025 10:02am' },
+    { name: 'Tutor', is_user: false, mes: 'Great choice.\nLet us begin.', send_date: 'Jan 1, 2025 10:03am' }
+];
+
+// Hidden, narrator and SillyTavern system messages mixed into a chat
+export const filteredChat = [
+    { name: 'SillyTavern System', is_user: false, is_system: true, mes: 'Welcome!', extra: { type: 'welcome' } },
+    { name: 'Alice', is_user: true, mes: 'Start' },
+    { name: 'Tutor', is_user: false, is_system: true, mes: 'Hidden reply' },
+    { name: 'Narrator', is_user: false, mes: 'The bell rings.', extra: { type: 'narrator' } },
+    { name: 'Tutor', is_user: false, mes: 'Visible reply' },
+    { name: 'Alice', is_user: true, mes: '(OOC: brb) Back' }
+];
+
+// Messages m0 ... m(count - 1), alternating user and assistant, each two characters long
+export function numberedChat(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        name: i % 2 === 0 ? 'Alice' : 'Tutor',
+        is_user: i % 2 === 0,
+        mes: `m${i}`
+    }));
+}
+
+// Assistant replies carrying a repeated [World State] block
+export const worldStateChat = [
+    { name: 'Alice', is_user: true, mes: 'Look around' },
+    { name: 'GM', is_user: false, mes: 'A forest. [WS]day 1[/WS]' },
+    { name: 'Alice', is_user: true, mes: 'Walk north' },
+    { name: 'GM', is_user: false, mes: 'A river. [WS]day 2[/WS]' },
+    { name: 'Alice', is_user: true, mes: 'Swim' },
+    { name: 'GM', is_user: false, mes: 'You are wet. [WS]day 3[/WS]' }
+];
+
+// Swipes and stored reasoning on the assistant turns
+export const swipeChat = [
+    { name: 'Alice', is_user: true, mes: 'Question?' },
+    {
+        name: 'Tutor', is_user: false, mes: 'Second answer', swipe_id: 1,
+        swipes: ['First answer', 'Second answer'],
+        swipe_info: [{ extra: { reasoning: 'first thoughts' } }, { extra: { reasoning: 'second thoughts' } }],
+        extra: { reasoning: 'second thoughts' }
+    },
+    { name: 'Alice', is_user: true, mes: 'Another?' },
+    { name: 'Tutor', is_user: false, mes: 'Latest', swipe_id: 1, swipes: ['Old latest', 'Latest'] }
+];